@@ -4,11 +4,17 @@ import { ZenTimer } from './components/ZenTimer';
 import { TodoList } from './components/TodoList/TodoList';
 import { Notes } from './components/Notes/Notes';
 import { Calendar } from './components/Calendar/Calendar';
-import { FocusStats, useRecordSession, useRecordStart } from './components/Stats/FocusStats';
+import { FocusStats } from './components/Stats/FocusStats';
 import { BreathingExercise } from './components/Breathing/BreathingExercise';
 import { BottomNav } from './components/Navigation/BottomNav';
 import { ThemeProvider } from './context/ThemeContext';
 import { ThemeToggle } from './components/ThemeToggle/ThemeToggle';
+import { AchievementToast } from './components/Achievements/AchievementToast';
+import { useAchievements } from './hooks/useAchievements';
+import { useRecordSession, useRecordStart, useRecordReflection, useHistoryMigration, useRecordAbandon, useRecordRestore, useRecordBreathing } from './hooks/useFocusRecorders';
+import { useCompleteTodo } from './hooks/useTodos';
+import { getStoreValue } from './utils/appStore';
+import { useStoredState } from './hooks/useStoredState';
 import './index.css';
 
 const pageVariants = {
@@ -21,15 +27,51 @@ function AppContent() {
   const [activeTab, setActiveTab] = useState('timer');
   const recordSession = useRecordSession();
   const recordStart = useRecordStart();
+  const recordReflection = useRecordReflection();
+  const recordAbandon = useRecordAbandon();
+  const recordRestore = useRecordRestore();
+  const recordBreathing = useRecordBreathing();
+  const completeTodo = useCompleteTodo();
+  useHistoryMigration();
+  const { celebration, dismissCelebration } = useAchievements();
 
-  const handleSessionComplete = useCallback((durationSeconds) => {
-    recordSession(durationSeconds);
+  // Todo picked as the target of the next focus session
+  const [focusTaskId, setFocusTaskId] = useStoredState('focus_task');
+  const [taskPrompt, setTaskPrompt] = useState(null);
+
+  // Lock mode keeps the timer on screen until the session ends
+  const [isLocked, setIsLocked] = useState(false);
+
+  const handleSessionComplete = useCallback((durationSeconds, details = {}) => {
+    recordSession(durationSeconds, details);
+
+    // Offer to close out the linked task
+    if (details.taskId && (!details.phase || details.phase === 'focus')) {
+      const todos = getStoreValue('todos');
+      const task = Array.isArray(todos) ? todos.find(t => t.id === details.taskId) : null;
+      if (task && !task.completed) {
+        setTaskPrompt({ id: task.id, text: task.text });
+      }
+    }
   }, [recordSession]);
 
-  const handleSessionStart = useCallback((durationSeconds) => {
-    recordStart(durationSeconds);
+  const handleSessionStart = useCallback((durationSeconds, details) => {
+    recordStart(durationSeconds, details);
   }, [recordStart]);
 
+  const handleTaskPromptAnswer = useCallback((done) => {
+    if (done && taskPrompt) {
+      completeTodo(taskPrompt.id);
+      if (focusTaskId === taskPrompt.id) setFocusTaskId(null);
+    }
+    setTaskPrompt(null);
+  }, [taskPrompt, focusTaskId, completeTodo, setFocusTaskId]);
+
+  const handleFocusTask = useCallback((id) => {
+    setFocusTaskId(id);
+    setActiveTab('timer');
+  }, [setFocusTaskId]);
+
   const scrollableTabs = ['tasks', 'notes', 'calendar', 'stats'];
   const needsScroll = scrollableTabs.includes(activeTab);
 
@@ -48,13 +90,24 @@ function AppContent() {
           <AnimatePresence mode="wait">
             {activeTab === 'timer' && (
               <motion.div key="timer" className="h-full flex items-center justify-center px-4" variants={pageVariants} initial="initial" animate="animate" exit="exit" transition={{ type: 'spring', stiffness: 300, damping: 30 }}>
-                <ZenTimer onSessionComplete={handleSessionComplete} onSessionStart={handleSessionStart} />
+                <ZenTimer
+                  onSessionComplete={handleSessionComplete}
+                  onSessionStart={handleSessionStart}
+                  onSessionReflect={recordReflection}
+                  onSessionAbandon={recordAbandon}
+                  onSessionRestore={recordRestore}
+                  focusTaskId={focusTaskId}
+                  onFocusTaskChange={setFocusTaskId}
+                  taskPrompt={taskPrompt}
+                  onTaskPromptAnswer={handleTaskPromptAnswer}
+                  onLockChange={setIsLocked}
+                />
               </motion.div>
             )}
 
             {activeTab === 'tasks' && (
               <motion.div key="tasks" className="py-4 px-4 pb-20" variants={pageVariants} initial="initial" animate="animate" exit="exit" transition={{ type: 'spring', stiffness: 300, damping: 30 }}>
-                <TodoList />
+                <TodoList focusTaskId={focusTaskId} onFocusTask={handleFocusTask} />
               </motion.div>
             )}
 
@@ -78,14 +131,16 @@ function AppContent() {
 
             {activeTab === 'breathe' && (
               <motion.div key="breathe" className="h-full flex items-center justify-center px-4" variants={pageVariants} initial="initial" animate="animate" exit="exit" transition={{ type: 'spring', stiffness: 300, damping: 30 }}>
-                <BreathingExercise />
+                <BreathingExercise onCycleComplete={recordBreathing} />
               </motion.div>
             )}
           </AnimatePresence>
         </div>
       </main>
 
-      <BottomNav activeTab={activeTab} onTabChange={setActiveTab} />
+      <AchievementToast achievements={celebration} onDismiss={dismissCelebration} />
+
+      {!isLocked && <BottomNav activeTab={activeTab} onTabChange={setActiveTab} />}
     </div>
   );
 }
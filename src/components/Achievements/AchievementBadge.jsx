@@ -0,0 +1,36 @@
+import { Footprints, Target, Medal, Trophy, Hourglass, Crown, Flame, Sunrise, Moon, Repeat, Wind, Leaf, Lock } from 'lucide-react';
+
+const ACHIEVEMENT_ICONS = {
+    'first-session': Footprints,
+    'sessions-10': Target,
+    'sessions-100': Medal,
+    'sessions-1000': Trophy,
+    'hours-10': Hourglass,
+    'hours-100': Hourglass,
+    'hours-1000': Crown,
+    'streak-7': Flame,
+    'streak-30': Flame,
+    'streak-100': Flame,
+    'early-bird': Sunrise,
+    'night-owl': Moon,
+    'pomodoro-cycle': Repeat,
+    'breathing-10': Wind,
+    'breathing-60': Leaf,
+};
+
+/**
+ * Achievement Badge Component
+ * Round icon for an achievement, dimmed with a lock while it is still locked
+ */
+export function AchievementBadge({ id, unlocked = true, size = 40 }) {
+    const Icon = unlocked ? ACHIEVEMENT_ICONS[id] : Lock;
+
+    return (
+        <div
+            className={`shrink-0 rounded-full flex items-center justify-center ${unlocked ? 'bg-ink text-paper' : 'bg-stone text-stone-dark'}`}
+            style={{ width: size, height: size }}
+        >
+            <Icon size={Math.round(size * 0.45)} />
+        </div>
+    );
+}
@@ -0,0 +1,78 @@
+import { useMemo, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ACHIEVEMENTS_KEY, getAchievementProgress, readUnlocked } from '../../utils/achievements';
+import { useStoredState } from '../../hooks/useStoredState';
+import { AchievementBadge } from './AchievementBadge';
+import { Award } from 'lucide-react';
+
+// Progress in the unit the achievement is described in
+function formatProgress({ stat, value, target }) {
+    if (stat === 'totalFocusTime') return `${Math.floor(value / 3600)} / ${target / 3600} h`;
+    if (stat === 'breathingSeconds') return `${Math.floor(value / 60)} / ${target / 60} min`;
+    return `${Math.min(value, target).toLocaleString('en-US')} / ${target.toLocaleString('en-US')}`;
+}
+
+function formatUnlockDate(iso) {
+    return new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Achievement Gallery Component
+ * Every badge, unlocked ones with their date and locked ones with progress
+ */
+export function AchievementGallery({ stats }) {
+    const [unlocked] = useStoredState(ACHIEVEMENTS_KEY, readUnlocked);
+    const [selectedId, setSelectedId] = useState(null);
+    const achievements = useMemo(() => getAchievementProgress(stats, unlocked), [stats, unlocked]);
+    const unlockedCount = achievements.filter(a => a.unlockedAt).length;
+    const selected = achievements.find(a => a.id === selectedId);
+
+    return (
+        <div className="mt-4 bg-paper rounded-2xl p-4 shadow-clay-soft">
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="text-xs font-medium text-ink">Achievements</h3>
+                <span className="flex items-center gap-1 text-[10px] text-stone-dark">
+                    <Award size={12} /> {unlockedCount} of {achievements.length}
+                </span>
+            </div>
+            <div className="grid grid-cols-5 gap-2">
+                {achievements.map(achievement => (
+                    <button
+                        key={achievement.id}
+                        onClick={() => setSelectedId(selectedId === achievement.id ? null : achievement.id)}
+                        aria-pressed={selectedId === achievement.id}
+                        aria-label={`${achievement.title}${achievement.unlockedAt ? '' : ' (locked)'}`}
+                        className={`flex justify-center rounded-full ${selectedId === achievement.id ? 'ring-1 ring-ink ring-offset-2 ring-offset-paper' : ''}`}
+                    >
+                        <AchievementBadge id={achievement.id} unlocked={Boolean(achievement.unlockedAt)} size={36} />
+                    </button>
+                ))}
+            </div>
+            <AnimatePresence>
+                {selected && (
+                    <motion.div
+                        initial={{ opacity: 0, height: 0 }}
+                        animate={{ opacity: 1, height: 'auto' }}
+                        exit={{ opacity: 0, height: 0 }}
+                        className="overflow-hidden"
+                    >
+                        <div className="mt-3 p-3 bg-stone rounded-xl">
+                            <p className="text-xs font-medium text-ink">{selected.title}</p>
+                            <p className="text-[11px] text-ink-soft">{selected.description}</p>
+                            {selected.unlockedAt ? (
+                                <p className="text-[10px] text-stone-dark mt-1">Unlocked {formatUnlockDate(selected.unlockedAt)}</p>
+                            ) : (
+                                <div className="mt-2">
+                                    <div className="h-1.5 rounded-full bg-paper overflow-hidden">
+                                        <div className="h-full bg-ink rounded-full" style={{ width: `${selected.ratio * 100}%` }} />
+                                    </div>
+                                    <p className="text-[10px] text-stone-dark mt-1">{formatProgress(selected)}</p>
+                                </div>
+                            )}
+                        </div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
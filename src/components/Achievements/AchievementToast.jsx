@@ -0,0 +1,56 @@
+import { useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { AchievementBadge } from './AchievementBadge';
+
+/**
+ * How long the celebration stays on screen (ms)
+ */
+const CELEBRATION_MS = 5000;
+
+/**
+ * Achievement Toast Component
+ * In-app celebration for newly unlocked achievements; tap to dismiss
+ */
+export function AchievementToast({ achievements, onDismiss }) {
+    useEffect(() => {
+        if (!achievements) return;
+        const timeoutId = setTimeout(onDismiss, CELEBRATION_MS);
+        return () => clearTimeout(timeoutId);
+    }, [achievements, onDismiss]);
+
+    const [first, ...rest] = achievements || [];
+
+    return (
+        <div className="fixed inset-x-0 top-16 z-50 flex justify-center pointer-events-none px-4">
+            <AnimatePresence>
+                {first && (
+                    <motion.button
+                        key={first.id}
+                        onClick={onDismiss}
+                        className="flex items-center gap-3 pl-2 pr-4 py-2 rounded-2xl bg-paper shadow-clay-soft text-left pointer-events-auto"
+                        role="status"
+                        initial={{ opacity: 0, y: -20, scale: 0.9 }}
+                        animate={{ opacity: 1, y: 0, scale: 1 }}
+                        exit={{ opacity: 0, y: -20 }}
+                        transition={{ type: 'spring', stiffness: 400, damping: 20 }}
+                    >
+                        <motion.div
+                            initial={{ rotate: -30, scale: 0.5 }}
+                            animate={{ rotate: 0, scale: 1 }}
+                            transition={{ type: 'spring', stiffness: 300, damping: 12, delay: 0.1 }}
+                        >
+                            <AchievementBadge id={first.id} size={36} />
+                        </motion.div>
+                        <div>
+                            <p className="text-[10px] uppercase tracking-wide text-stone-dark">Achievement unlocked</p>
+                            <p className="text-sm font-medium text-ink">{first.title}</p>
+                            <p className="text-[10px] text-stone-dark">
+                                {first.description}{rest.length > 0 && ` · +${rest.length} more`}
+                            </p>
+                        </div>
+                    </motion.button>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
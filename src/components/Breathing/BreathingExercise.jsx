@@ -7,7 +7,11 @@ const PATTERNS = {
     energize: { inhale: 6, hold: 0, exhale: 2, holdOut: 0, name: 'Energy' },
 };
 
-export function BreathingExercise() {
+/**
+ * Breathing Exercise Component
+ * @param {Function} onCycleComplete - Called with the cycle's length in seconds after each full breath
+ */
+export function BreathingExercise({ onCycleComplete }) {
     const [isActive, setIsActive] = useState(false);
     const [phase, setPhase] = useState('ready');
     const [pattern, setPattern] = useState('calm');
@@ -16,6 +20,7 @@ export function BreathingExercise() {
     const timerRef = useRef(null);
 
     const currentPattern = PATTERNS[pattern];
+    const cycleSeconds = currentPattern.inhale + currentPattern.hold + currentPattern.exhale + currentPattern.holdOut;
 
     const getPhaseText = () => {
         if (phase === 'ready') return 'TAP TO START';
@@ -34,17 +39,19 @@ export function BreathingExercise() {
     }, [phase, currentPattern]);
 
     const goToNextPhase = useCallback(() => {
-        setPhase(current => {
-            if (current === 'ready') return 'inhale';
-            if (current === 'inhale') return currentPattern.hold > 0 ? 'hold' : 'exhale';
-            if (current === 'hold') return 'exhale';
-            if (current === 'exhale') {
+        if (phase === 'inhale') {
+            setPhase(currentPattern.hold > 0 ? 'hold' : 'exhale');
+        } else if (phase === 'hold') {
+            setPhase('exhale');
+        } else {
+            if (phase === 'exhale') {
+                // Count each finished breath towards breathing time, once
                 setCycleCount(c => c + 1);
-                return 'inhale';
+                onCycleComplete?.(cycleSeconds);
             }
-            return 'inhale';
-        });
-    }, [currentPattern]);
+            setPhase('inhale');
+        }
+    }, [phase, currentPattern, cycleSeconds, onCycleComplete]);
 
     useEffect(() => {
         if (!isActive || phase === 'ready') return;
@@ -1,7 +1,8 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { ChevronLeft, ChevronRight, Plus, X, Clock, MapPin, Video, ExternalLink, Tag, Bell } from 'lucide-react';
-import { getStorageItem, setStorageItem } from '../../utils/storage';
+import { useStoredState } from '../../hooks/useStoredState';
+import { toDateKey, getCalendarDateKey, parseDateKey } from '../../utils/localDate';
 import { showNotification, requestNotificationPermission, getNotificationPermission } from '../../utils/notifications';
 
 function generateId() {
@@ -16,10 +17,6 @@ function getFirstDayOfMonth(year, month) {
     return new Date(year, month, 1).getDay();
 }
 
-function formatDateKey(year, month, day) {
-    return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-}
-
 // Predefined color palette - distinct, visually pleasing colors
 const COLOR_PALETTE = [
     '#3B82F6', // blue
@@ -52,6 +49,15 @@ const DEFAULT_CATEGORIES = [
     { id: 'personal', name: 'Personal', color: '#10B981' },
 ];
 
+// Events by date key, as stored
+function readEvents(stored) {
+    return stored && typeof stored === 'object' ? stored : {};
+}
+
+function readCategories(stored) {
+    return stored || DEFAULT_CATEGORIES;
+}
+
 function getNextColor(usedColors) {
     for (const color of COLOR_PALETTE) {
         if (!usedColors.includes(color)) return color;
@@ -65,11 +71,8 @@ export function Calendar() {
     const [currentMonth, setCurrentMonth] = useState(today.getMonth());
     const [currentYear, setCurrentYear] = useState(today.getFullYear());
     const [selectedDate, setSelectedDate] = useState(null);
-    const [events, setEvents] = useState(() => getStorageItem('calendar_events', {}));
-    const [categories, setCategories] = useState(() => {
-        const stored = getStorageItem('calendar_categories', null);
-        return stored || DEFAULT_CATEGORIES;
-    });
+    const [events, setEvents] = useStoredState('calendar_events', readEvents);
+    const [categories, setCategories] = useStoredState('calendar_categories', readCategories);
     const [showAddForm, setShowAddForm] = useState(false);
     const [showCategoryForm, setShowCategoryForm] = useState(false);
     const [newCategoryName, setNewCategoryName] = useState('');
@@ -85,14 +88,11 @@ export function Calendar() {
 
     const notifiedMeetingsRef = useRef(new Set());
 
-    useEffect(() => { setStorageItem('calendar_events', events); }, [events]);
-    useEffect(() => { setStorageItem('calendar_categories', categories); }, [categories]);
-
     // Meeting reminder system - check every minute
     useEffect(() => {
         const checkMeetings = () => {
             const now = new Date();
-            const todayKey = formatDateKey(now.getFullYear(), now.getMonth(), now.getDate());
+            const todayKey = getCalendarDateKey(now);
             const todayEvents = events[todayKey] || [];
 
             todayEvents.forEach(event => {
@@ -151,7 +151,7 @@ export function Calendar() {
     };
 
     const handleDateClick = (day) => {
-        setSelectedDate(formatDateKey(currentYear, currentMonth, day));
+        setSelectedDate(toDateKey(currentYear, currentMonth, day));
         setShowAddForm(false);
     };
 
@@ -204,7 +204,7 @@ export function Calendar() {
         }));
         resetForm();
         setShowAddForm(false);
-    }, [newEvent, selectedDate, eventType]);
+    }, [newEvent, selectedDate, eventType, setEvents]);
 
     const deleteEvent = (dateKey, eventId) => {
         setEvents(prev => ({
@@ -307,7 +307,7 @@ export function Calendar() {
                 {calendarDays.map((day, idx) => {
                     if (day === null) return <div key={`e-${idx}`} className="aspect-square" />;
 
-                    const dateKey = formatDateKey(currentYear, currentMonth, day);
+                    const dateKey = toDateKey(currentYear, currentMonth, day);
                     const dayEvents = getEventsForDate(dateKey);
                     const isSelected = selectedDate === dateKey;
 
@@ -346,7 +346,7 @@ export function Calendar() {
                     >
                         <div className="flex items-center justify-between mb-3">
                             <h4 className="font-medium text-ink text-sm">
-                                {new Date(selectedDate + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                                {parseDateKey(selectedDate).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
                             </h4>
                             <button onClick={() => setShowAddForm(true)} className="w-7 h-7 rounded-full bg-ink text-paper flex items-center justify-center">
                                 <Plus size={14} />
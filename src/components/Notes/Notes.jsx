@@ -1,7 +1,11 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Plus, Search, X, FileText, Tag } from 'lucide-react';
-import { getStorageItem, setStorageItem } from '../../utils/storage';
+import { useStoredState } from '../../hooks/useStoredState';
+
+function readNotes(stored) {
+    return Array.isArray(stored) ? stored : [];
+}
 
 function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
@@ -20,17 +24,13 @@ function extractKeywords(text) {
 }
 
 export function Notes() {
-    const [notes, setNotes] = useState(() => getStorageItem('notes', []));
+    const [notes, setNotes] = useStoredState('notes', readNotes);
     const [searchQuery, setSearchQuery] = useState('');
     const [selectedNote, setSelectedNote] = useState(null);
     const [isEditing, setIsEditing] = useState(false);
     const [editTitle, setEditTitle] = useState('');
     const [editContent, setEditContent] = useState('');
 
-    useEffect(() => {
-        setStorageItem('notes', notes);
-    }, [notes]);
-
     // Filter notes by search query (searches title, content, and keywords)
     const filteredNotes = useMemo(() => {
         if (!searchQuery.trim()) return notes;
@@ -1,23 +1,112 @@
 import { motion, AnimatePresence } from 'framer-motion';
-import { useState } from 'react';
-import { getStorageItem, setStorageItem, validateTimerSettings } from '../../utils/storage';
+import { validateTimerSettings } from '../../utils/storage';
+import { useStoredState } from '../../hooks/useStoredState';
+import { SOUNDSCAPES } from '../../utils/soundscapes';
+import { CHIMES, playChime } from '../../utils/chimes';
+import { formatGoalAmount } from '../../utils/goals';
+import { Play } from 'lucide-react';
+
+/**
+ * Pill switch used for boolean settings
+ */
+function Toggle({ enabled, onToggle }) {
+    return (
+        <button
+            onClick={onToggle}
+            className={`w-12 h-7 rounded-full transition-all duration-300 ${enabled
+                    ? 'bg-ink'
+                    : 'bg-stone'
+                }`}
+        >
+            <motion.div
+                className="w-5 h-5 bg-paper rounded-full shadow-clay-soft"
+                animate={{
+                    x: enabled ? 24 : 4
+                }}
+                transition={{ type: 'spring', stiffness: 500, damping: 30 }}
+            />
+        </button>
+    );
+}
+
+/**
+ * Row of selectable option chips
+ */
+function OptionChips({ options, value, onSelect, suffix = 'm', labels = null }) {
+    return (
+        <div className="flex flex-wrap gap-2">
+            {options.map((option) => (
+                <button
+                    key={option}
+                    onClick={() => onSelect(option)}
+                    className={`px-3 py-2 rounded-xl text-sm transition-all duration-200 ${value === option
+                            ? 'bg-ink text-paper shadow-lg'
+                            : 'bg-stone text-ink hover:bg-stone-dark'
+                        }`}
+                >
+                    {labels?.[option] ?? `${option}${suffix}`}
+                </button>
+            ))}
+        </div>
+    );
+}
 
 /**
  * Settings Overlay Component
  * Blurred overlay revealed on long-press
  */
-export function SettingsOverlay({ isOpen, onClose, settings, onSettingsChange }) {
-    const [localSettings, setLocalSettings] = useState(settings);
-
-    const handleSettingChange = (key, value) => {
-        const newSettings = { ...localSettings, [key]: value };
-        const validated = validateTimerSettings(newSettings);
-        setLocalSettings(validated);
-        onSettingsChange(validated);
-        setStorageItem('settings', validated);
+export function SettingsOverlay({ isOpen, onClose }) {
+    const [settings, setSettings] = useStoredState('settings', validateTimerSettings);
+
+    const handleSettingChange = (key, value) => handleSettingsChange({ [key]: value });
+
+    const handleSettingsChange = (changes) => {
+        setSettings(current => validateTimerSettings({ ...current, ...changes }));
     };
 
-    const durations = [5, 10, 15, 20, 25, 30, 45, 60];
+    const durations = [5, 10, 15, 20, 25, 30, 45, 60, 90];
+    const dialIncrements = [1, 5, 10, 15];
+    const minDurations = [1, 5, 10, 15];
+    const soundscapeLabels = Object.fromEntries(SOUNDSCAPES.map(({ id, label }) => [id, label]));
+
+    const chimeLabels = Object.fromEntries(CHIMES.map(({ id, label }) => [id, label]));
+    const chimeSlots = [
+        { key: 'startChime', label: 'Start' },
+        { key: 'completionChime', label: 'Completion' },
+        { key: 'intervalChime', label: 'Interval Bell' },
+    ];
+    const intervalModeLabels = { every: 'Every N min', milestones: 'Halfway & 5 left' };
+    const intervalMinuteOptions = [5, 10, 15, 20, 30];
+
+    const handleVolumeChange = (id, percent) => {
+        handleSettingChange('soundscapeVolumes', {
+            ...settings.soundscapeVolumes,
+            [id]: percent / 100,
+        });
+    };
+    const shortBreaks = [3, 5, 10];
+    const longBreaks = [10, 15, 20, 30];
+    const roundOptions = [2, 3, 4, 5, 6];
+
+    // Leaves allowed before a locked session counts as broken
+    const leaveOptions = [1, 2, 3, 5];
+
+    // Goal targets per unit; 0 turns a goal off
+    const goalOptions = {
+        minutes: { daily: [0, 30, 60, 90, 120, 180, 240], weekly: [0, 150, 300, 600, 900, 1200] },
+        sessions: { daily: [0, 2, 4, 6, 8], weekly: [0, 10, 20, 30, 40] },
+    };
+    const goalUnitLabels = { minutes: 'Minutes', sessions: 'Sessions' };
+    const goalLabels = (options) => Object.fromEntries(options.map((value) => {
+        if (value === 0) return [value, 'Off'];
+        return [value, settings.goalUnit === 'sessions' ? `${value}` : formatGoalAmount(value, 'minutes')];
+    }));
+    const { daily: dailyGoalOptions, weekly: weeklyGoalOptions } = goalOptions[settings.goalUnit];
+
+    // Night owls can keep late sessions on the day they started
+    const dayStartOptions = [0, 2, 3, 4, 5, 6];
+    const dayStartLabels = Object.fromEntries(dayStartOptions.map(hour => [hour, hour === 0 ? 'Midnight' : `${hour} AM`]));
+    const freezeLabels = { off: 'Off', weekends: 'Skip Weekends', earned: 'Earned' };
 
     return (
         <AnimatePresence>
@@ -42,7 +131,7 @@ export function SettingsOverlay({ isOpen, onClose, settings, onSettingsChange })
                         className="fixed left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 z-50 w-80 max-w-[90vw]"
                         onClick={(e) => e.stopPropagation()}
                     >
-                        <div className="bg-paper rounded-3xl p-6 shadow-clay">
+                        <div className="bg-paper rounded-3xl p-6 shadow-clay max-h-[85vh] overflow-y-auto">
                             {/* Header */}
                             <h2 className="text-lg font-medium text-ink mb-6 text-center">
                                 Settings
@@ -51,42 +140,295 @@ export function SettingsOverlay({ isOpen, onClose, settings, onSettingsChange })
                             {/* Sound Toggle */}
                             <div className="flex items-center justify-between py-4 border-b border-stone">
                                 <span className="text-ink-soft">Sound</span>
-                                <button
-                                    onClick={() => handleSettingChange('soundEnabled', !localSettings.soundEnabled)}
-                                    className={`w-12 h-7 rounded-full transition-all duration-300 ${localSettings.soundEnabled
-                                            ? 'bg-ink'
-                                            : 'bg-stone'
-                                        }`}
-                                >
-                                    <motion.div
-                                        className="w-5 h-5 bg-paper rounded-full shadow-clay-soft"
-                                        animate={{
-                                            x: localSettings.soundEnabled ? 24 : 4
-                                        }}
-                                        transition={{ type: 'spring', stiffness: 500, damping: 30 }}
+                                <Toggle
+                                    enabled={settings.soundEnabled}
+                                    onToggle={() => handleSettingChange('soundEnabled', !settings.soundEnabled)}
+                                />
+                            </div>
+
+                            {/* Ambient Soundscape */}
+                            <div className="py-4 border-b border-stone">
+                                <span className="text-ink-soft block mb-3">Soundscape</span>
+                                <OptionChips
+                                    options={SOUNDSCAPES.map(({ id }) => id)}
+                                    value={settings.soundscape}
+                                    onSelect={(id) => handleSettingChange('soundscape', id)}
+                                    labels={soundscapeLabels}
+                                />
+                                {settings.soundscape !== 'none' && (
+                                    <label className="flex items-center gap-3 mt-3">
+                                        <span className="text-xs text-stone-dark">Volume</span>
+                                        <input
+                                            type="range"
+                                            min="0"
+                                            max="100"
+                                            value={Math.round(settings.soundscapeVolumes[settings.soundscape] * 100)}
+                                            onChange={(e) => handleVolumeChange(settings.soundscape, Number(e.target.value))}
+                                            className="flex-1 accent-current text-ink"
+                                        />
+                                    </label>
+                                )}
+                            </div>
+
+                            {/* Chimes */}
+                            <div className="py-4 border-b border-stone">
+                                <span className="text-ink-soft block mb-1">Chimes</span>
+                                {chimeSlots.map(({ key, label }) => (
+                                    <div key={key} className="py-2">
+                                        <div className="flex items-center justify-between mb-2">
+                                            <span className="text-xs text-stone-dark">{label}</span>
+                                            {settings[key] !== 'none' && (
+                                                <button
+                                                    onClick={() => playChime(settings[key], settings.chimeVolume)}
+                                                    className="p-1.5 rounded-lg bg-stone text-ink"
+                                                    aria-label={`Preview ${label.toLowerCase()} chime`}
+                                                >
+                                                    <Play size={12} />
+                                                </button>
+                                            )}
+                                        </div>
+                                        <OptionChips
+                                            options={CHIMES.map(({ id }) => id)}
+                                            value={settings[key]}
+                                            onSelect={(id) => handleSettingChange(key, id)}
+                                            labels={chimeLabels}
+                                        />
+                                    </div>
+                                ))}
+
+                                {settings.intervalChime !== 'none' && (
+                                    <div className="py-2">
+                                        <OptionChips
+                                            options={['every', 'milestones']}
+                                            value={settings.intervalMode}
+                                            onSelect={(mode) => handleSettingChange('intervalMode', mode)}
+                                            labels={intervalModeLabels}
+                                        />
+                                        {settings.intervalMode === 'every' && (
+                                            <div className="mt-2">
+                                                <OptionChips
+                                                    options={intervalMinuteOptions}
+                                                    value={settings.intervalMinutes}
+                                                    onSelect={(mins) => handleSettingChange('intervalMinutes', mins)}
+                                                />
+                                            </div>
+                                        )}
+                                    </div>
+                                )}
+
+                                <label className="flex items-center gap-3 mt-2">
+                                    <span className="text-xs text-stone-dark">Volume</span>
+                                    <input
+                                        type="range"
+                                        min="0"
+                                        max="100"
+                                        value={Math.round(settings.chimeVolume * 100)}
+                                        onChange={(e) => handleSettingChange('chimeVolume', Number(e.target.value) / 100)}
+                                        className="flex-1 accent-current text-ink"
                                     />
-                                </button>
+                                </label>
                             </div>
 
                             {/* Default Duration */}
-                            <div className="py-4">
+                            <div className="py-4 border-b border-stone">
                                 <span className="text-ink-soft block mb-3">Default Duration</span>
-                                <div className="flex flex-wrap gap-2">
-                                    {durations.map((dur) => (
-                                        <button
-                                            key={dur}
-                                            onClick={() => handleSettingChange('defaultDuration', dur)}
-                                            className={`px-3 py-2 rounded-xl text-sm transition-all duration-200 ${localSettings.defaultDuration === dur
-                                                    ? 'bg-ink text-paper shadow-lg'
-                                                    : 'bg-stone text-ink hover:bg-stone-dark'
-                                                }`}
-                                        >
-                                            {dur}m
-                                        </button>
-                                    ))}
+                                <OptionChips
+                                    options={durations}
+                                    value={settings.defaultDuration}
+                                    onSelect={(dur) => handleSettingChange('defaultDuration', dur)}
+                                />
+                            </div>
+
+                            {/* Radial Dial */}
+                            <div className="py-4 border-b border-stone">
+                                <span className="text-ink-soft block mb-3">Dial Step</span>
+                                <OptionChips
+                                    options={dialIncrements}
+                                    value={settings.dialIncrement}
+                                    onSelect={(step) => handleSettingChange('dialIncrement', step)}
+                                />
+                                <span className="text-xs text-stone-dark block mt-3 mb-2">Minimum Duration</span>
+                                <OptionChips
+                                    options={minDurations}
+                                    value={settings.minDuration}
+                                    onSelect={(min) => handleSettingChange('minDuration', min)}
+                                />
+                            </div>
+
+                            {/* Session Prompts */}
+                            <div className="flex items-center justify-between py-4 border-b border-stone">
+                                <span className="text-ink-soft">Ask for Intention</span>
+                                <Toggle
+                                    enabled={settings.intentionPrompt}
+                                    onToggle={() => handleSettingChange('intentionPrompt', !settings.intentionPrompt)}
+                                />
+                            </div>
+                            <div className="flex items-center justify-between py-4 border-b border-stone">
+                                <span className="text-ink-soft">Reflect After Sessions</span>
+                                <Toggle
+                                    enabled={settings.reflectionPrompt}
+                                    onToggle={() => handleSettingChange('reflectionPrompt', !settings.reflectionPrompt)}
+                                />
+                            </div>
+
+                            {/* Tab Indicator */}
+                            <div className="flex items-center justify-between py-4 border-b border-stone">
+                                <div>
+                                    <span className="text-ink-soft block">Timer in Browser Tab</span>
+                                    <span className="text-xs text-stone-dark">Countdown title and progress favicon</span>
                                 </div>
+                                <Toggle
+                                    enabled={settings.tabIndicator}
+                                    onToggle={() => handleSettingChange('tabIndicator', !settings.tabIndicator)}
+                                />
                             </div>
 
+                            {/* Strict Mode */}
+                            <div className="flex items-center justify-between py-4 border-b border-stone">
+                                <div>
+                                    <span className="text-ink-soft block">Strict Mode</span>
+                                    <span className="text-xs text-stone-dark">Confirm before cancelling a session</span>
+                                </div>
+                                <Toggle
+                                    enabled={settings.strictMode}
+                                    onToggle={() => handleSettingChange('strictMode', !settings.strictMode)}
+                                />
+                            </div>
+
+                            {/* Lock Mode */}
+                            <div className="py-4 border-b border-stone">
+                                <div className="flex items-center justify-between">
+                                    <div>
+                                        <span className="text-ink-soft block">Lock Mode</span>
+                                        <span className="text-xs text-stone-dark">Fullscreen, no tab switching, hold to cancel</span>
+                                    </div>
+                                    <Toggle
+                                        enabled={settings.lockMode}
+                                        onToggle={() => handleSettingChange('lockMode', !settings.lockMode)}
+                                    />
+                                </div>
+                                {settings.lockMode && (
+                                    <div className="mt-3">
+                                        <span className="text-xs text-stone-dark block mb-2">Leaves Before Broken</span>
+                                        <OptionChips
+                                            options={leaveOptions}
+                                            value={settings.lockMaxLeaves}
+                                            onSelect={(leaves) => handleSettingChange('lockMaxLeaves', leaves)}
+                                            suffix=""
+                                        />
+                                    </div>
+                                )}
+                            </div>
+
+                            {/* Focus Goals */}
+                            <div className="py-4 border-b border-stone">
+                                <span className="text-ink-soft block mb-3">Focus Goals</span>
+                                <OptionChips
+                                    options={['minutes', 'sessions']}
+                                    value={settings.goalUnit}
+                                    onSelect={(unit) => unit !== settings.goalUnit && handleSettingsChange({ goalUnit: unit, dailyGoal: 0, weeklyGoal: 0 })}
+                                    labels={goalUnitLabels}
+                                />
+                                <span className="text-xs text-stone-dark block mt-3 mb-2">Daily</span>
+                                <OptionChips
+                                    options={dailyGoalOptions}
+                                    value={settings.dailyGoal}
+                                    onSelect={(goal) => handleSettingChange('dailyGoal', goal)}
+                                    labels={goalLabels(dailyGoalOptions)}
+                                />
+                                <span className="text-xs text-stone-dark block mt-3 mb-2">Weekly</span>
+                                <OptionChips
+                                    options={weeklyGoalOptions}
+                                    value={settings.weeklyGoal}
+                                    onSelect={(goal) => handleSettingChange('weeklyGoal', goal)}
+                                    labels={goalLabels(weeklyGoalOptions)}
+                                />
+                                {settings.dailyGoal > 0 && (
+                                    <div className="flex items-center justify-between mt-4">
+                                        <div>
+                                            <span className="text-xs text-ink-soft block">Streak Needs Goal</span>
+                                            <span className="text-xs text-stone-dark">Only days that meet it count</span>
+                                        </div>
+                                        <Toggle
+                                            enabled={settings.goalStreaks}
+                                            onToggle={() => handleSettingChange('goalStreaks', !settings.goalStreaks)}
+                                        />
+                                    </div>
+                                )}
+                            </div>
+
+                            {/* Days & Streaks */}
+                            <div className="py-4 border-b border-stone">
+                                <span className="text-ink-soft block mb-3">Day Starts At</span>
+                                <OptionChips
+                                    options={dayStartOptions}
+                                    value={settings.dayStartHour}
+                                    onSelect={(hour) => handleSettingChange('dayStartHour', hour)}
+                                    labels={dayStartLabels}
+                                />
+                                <span className="text-xs text-stone-dark block mt-3 mb-2">Streak Freezes</span>
+                                <OptionChips
+                                    options={['off', 'weekends', 'earned']}
+                                    value={settings.streakFreezes}
+                                    onSelect={(mode) => handleSettingChange('streakFreezes', mode)}
+                                    labels={freezeLabels}
+                                />
+                                {settings.streakFreezes === 'earned' && (
+                                    <span className="text-xs text-stone-dark block mt-2">
+                                        Every 7-day streak earns a freeze that covers one missed day (up to 2)
+                                    </span>
+                                )}
+                            </div>
+
+                            {/* Pomodoro Cycle */}
+                            <div className="flex items-center justify-between py-4">
+                                <span className="text-ink-soft">Pomodoro Cycle</span>
+                                <Toggle
+                                    enabled={settings.pomodoroEnabled}
+                                    onToggle={() => handleSettingChange('pomodoroEnabled', !settings.pomodoroEnabled)}
+                                />
+                            </div>
+
+                            {settings.pomodoroEnabled && (
+                                <>
+                                    <div className="py-2">
+                                        <span className="text-xs text-stone-dark block mb-2">Short Break</span>
+                                        <OptionChips
+                                            options={shortBreaks}
+                                            value={settings.shortBreakDuration}
+                                            onSelect={(dur) => handleSettingChange('shortBreakDuration', dur)}
+                                        />
+                                    </div>
+
+                                    <div className="py-2">
+                                        <span className="text-xs text-stone-dark block mb-2">Long Break</span>
+                                        <OptionChips
+                                            options={longBreaks}
+                                            value={settings.longBreakDuration}
+                                            onSelect={(dur) => handleSettingChange('longBreakDuration', dur)}
+                                        />
+                                    </div>
+
+                                    <div className="py-2">
+                                        <span className="text-xs text-stone-dark block mb-2">Rounds Before Long Break</span>
+                                        <OptionChips
+                                            options={roundOptions}
+                                            value={settings.roundsBeforeLongBreak}
+                                            onSelect={(rounds) => handleSettingChange('roundsBeforeLongBreak', rounds)}
+                                            suffix=""
+                                        />
+                                    </div>
+
+                                    <div className="flex items-center justify-between py-4">
+                                        <span className="text-ink-soft">Auto-start Next Phase</span>
+                                        <Toggle
+                                            enabled={settings.autoAdvance}
+                                            onToggle={() => handleSettingChange('autoAdvance', !settings.autoAdvance)}
+                                        />
+                                    </div>
+                                </>
+                            )}
+
                             {/* Close hint */}
                             <p className="text-xs text-stone-dark text-center mt-6">
                                 Tap outside to close
@@ -0,0 +1,129 @@
+import { useState, useRef } from 'react';
+import { getStoreValue } from '../../utils/appStore';
+import { getSessionsInRange } from '../../utils/sessionHistory';
+import {
+    getExportRange, buildSessionRows, toCsv, buildJsonExport, parseJsonImport, getExportFilename, downloadFile,
+} from '../../utils/focusExport';
+import { Download, Upload } from 'lucide-react';
+
+/**
+ * Export Panel Component
+ * Downloads focus history for a date range as CSV or JSON, and merges a JSON export back in
+ */
+export function ExportPanel({ stats, onImport }) {
+    const [fromKey, setFromKey] = useState('');
+    const [toKey, setToKey] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const handleExport = async (format) => {
+        if (fromKey && toKey && fromKey > toKey) {
+            setMessage('Start date is after end date');
+            return;
+        }
+
+        setBusy(true);
+        const { from, to } = getExportRange(fromKey, toKey);
+        const records = await getSessionsInRange(from, to);
+
+        if (format === 'csv') {
+            const todos = getStoreValue('todos');
+            const taskNames = Object.fromEntries((Array.isArray(todos) ? todos : []).map(t => [t.id, t.text]));
+            const rows = buildSessionRows(records, taskNames);
+            downloadFile(getExportFilename('csv', fromKey, toKey), toCsv(rows), 'text/csv;charset=utf-8');
+            setMessage(`Exported ${rows.length} ${rows.length === 1 ? 'session' : 'sessions'}`);
+        } else {
+            const dump = buildJsonExport(stats, records, fromKey, toKey);
+            downloadFile(getExportFilename('json', fromKey, toKey), JSON.stringify(dump, null, 2), 'application/json');
+            setMessage(`Exported ${records.length} history records`);
+        }
+        setBusy(false);
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setBusy(true);
+        try {
+            const { records, skipped } = parseJsonImport(await file.text());
+            const added = await onImport(records);
+            if (!added) {
+                setMessage('Import failed, nothing was changed');
+            } else {
+                const duplicates = records.length - added.length;
+                setMessage(`Imported ${added.length} records · ${duplicates} already here${skipped ? ` · ${skipped} unreadable` : ''}`);
+            }
+        } catch (error) {
+            setMessage(error.message);
+        }
+        setBusy(false);
+    };
+
+    return (
+        <div className="bg-paper rounded-2xl p-4 shadow-clay-soft">
+            <h3 className="text-sm font-medium text-ink mb-3">Export &amp; Import</h3>
+
+            <div className="flex gap-2 mb-3">
+                <label className="flex-1">
+                    <span className="text-[10px] text-stone-dark block mb-1">From</span>
+                    <input
+                        type="date"
+                        value={fromKey}
+                        max={toKey || undefined}
+                        onChange={(e) => setFromKey(e.target.value)}
+                        className="w-full px-2 py-1.5 text-xs bg-stone rounded-lg text-ink outline-none"
+                    />
+                </label>
+                <label className="flex-1">
+                    <span className="text-[10px] text-stone-dark block mb-1">To</span>
+                    <input
+                        type="date"
+                        value={toKey}
+                        min={fromKey || undefined}
+                        onChange={(e) => setToKey(e.target.value)}
+                        className="w-full px-2 py-1.5 text-xs bg-stone rounded-lg text-ink outline-none"
+                    />
+                </label>
+            </div>
+            <p className="text-[10px] text-stone-dark mb-3">Leave dates empty to include everything.</p>
+
+            <div className="flex gap-2">
+                <button
+                    onClick={() => handleExport('csv')}
+                    disabled={busy}
+                    className="flex-1 flex items-center justify-center gap-1.5 px-3 py-2 text-xs bg-ink text-paper rounded-lg disabled:opacity-50"
+                >
+                    <Download size={12} /> CSV
+                </button>
+                <button
+                    onClick={() => handleExport('json')}
+                    disabled={busy}
+                    className="flex-1 flex items-center justify-center gap-1.5 px-3 py-2 text-xs bg-ink text-paper rounded-lg disabled:opacity-50"
+                >
+                    <Download size={12} /> JSON
+                </button>
+                <button
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={busy}
+                    className="flex-1 flex items-center justify-center gap-1.5 px-3 py-2 text-xs bg-stone text-ink rounded-lg disabled:opacity-50"
+                >
+                    <Upload size={12} /> Import
+                </button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={handleImport}
+                    className="hidden"
+                />
+            </div>
+
+            {message && (
+                <p className="text-[10px] text-stone-dark mt-3" role="status">{message}</p>
+            )}
+        </div>
+    );
+}
@@ -1,7 +1,21 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { getStorageItem, setStorageItem } from '../../utils/storage';
-import { Clock, Target, Flame, TrendingUp, Play, CheckCircle, History } from 'lucide-react';
+import { validateTimerSettings } from '../../utils/storage';
+import { getStoreValue } from '../../utils/appStore';
+import { useStoredState } from '../../hooks/useStoredState';
+import { summarizeInterruptions, getMostCommonInterruption } from '../../utils/interruptions';
+import { getLocalDateKey, parseDateKey, addDays, getDayStart } from '../../utils/localDate';
+import { getDay, getFocusSeconds, getWeekKeys, getHeatmapWeeks, getHeatLevel, buildDaily } from '../../utils/dailyStats';
+import { STATS_KEY, toStatsView, migrateStoredHistory, importSessions, getSavedStreak } from '../../utils/focusStats';
+import { getAverageRating, getFocusQualityByDay, getRatingLabel, MAX_NOTE_LENGTH } from '../../utils/reflections';
+import { HISTORY_PAGE_SIZE, getSessionPage, getSessionsInRange, subscribeToHistory } from '../../utils/sessionHistory';
+import { getDailyGoalProgress, getWeeklyGoalProgress, formatGoalAmount } from '../../utils/goals';
+import { getActiveStreak } from '../../utils/streaks';
+import { ProgressRing } from './ProgressRing';
+import { ExportPanel } from './ExportPanel';
+import { InsightsPanel } from './InsightsPanel';
+import { AchievementGallery } from '../Achievements/AchievementGallery';
+import { Clock, Target, Flame, TrendingUp, Play, CheckCircle, History, Coffee, Download, XCircle, Sparkles, ChevronLeft, ChevronRight, CalendarDays } from 'lucide-react';
 
 function formatDuration(seconds) {
     const hours = Math.floor(seconds / 3600);
@@ -10,10 +24,6 @@ function formatDuration(seconds) {
     return `${mins}m`;
 }
 
-function getTodayKey() {
-    return new Date().toISOString().split('T')[0];
-}
-
 function formatTime(dateStr) {
     return new Date(dateStr).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
 }
@@ -22,6 +32,29 @@ function formatDate(dateStr) {
     return new Date(dateStr).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 }
 
+// Date keys are local dates; new Date('YYYY-MM-DD') would read them as UTC
+function formatDayKey(key) {
+    return formatDate(parseDateKey(key));
+}
+
+function getSessionLabel(session) {
+    const minutes = `${Math.round(session.duration / 60)}m`;
+    if (session.type === 'break') {
+        return `${session.phase === 'longBreak' ? 'Long break' : 'Short break'} • ${minutes}`;
+    }
+    if (session.type === 'abandoned') {
+        const point = session.planned > 0 ? `${minutes} of ${Math.round(session.planned / 60)}m` : minutes;
+        return `Abandoned${session.mode === 'flow' ? ' flow' : ''} • ${point}${session.paused ? ' (paused)' : ''}`;
+    }
+    if (session.broken) {
+        return `Broken lock • ${minutes}`;
+    }
+    if (session.mode === 'flow') {
+        return session.completed ? `Flow • ${minutes}` : 'Started flow';
+    }
+    return `${session.completed ? 'Completed' : 'Started'} • ${minutes}`;
+}
+
 function StatCard({ icon: Icon, label, value, subtext }) {
     return (
         <motion.div
@@ -44,17 +77,23 @@ function StatCard({ icon: Icon, label, value, subtext }) {
     );
 }
 
-function WeekChart({ data }) {
+function getWeekTitle(weekOffset, weekKeys) {
+    if (weekOffset === 0) return 'This Week';
+    if (weekOffset === -1) return 'Last Week';
+    return `${formatDayKey(weekKeys[0])} – ${formatDayKey(weekKeys[6])}`;
+}
+
+function WeekChart({ data, todayKey }) {
     const days = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
-    const maxValue = Math.max(...data, 1);
+    const maxValue = Math.max(...data.map(d => d.minutes), 1);
 
     return (
         <div className="flex items-end justify-between gap-1.5 h-20 px-1">
-            {data.map((value, i) => {
-                const height = (value / maxValue) * 100;
-                const isToday = i === new Date().getDay();
+            {data.map(({ key, minutes }, i) => {
+                const height = (minutes / maxValue) * 100;
+                const isToday = key === todayKey;
                 return (
-                    <div key={i} className="flex-1 flex flex-col items-center gap-0.5">
+                    <div key={key} className="flex-1 flex flex-col items-center gap-0.5" title={`${formatDayKey(key)}: ${minutes}m`}>
                         <motion.div
                             className={`w-full rounded-t-md ${isToday ? 'bg-ink' : 'bg-stone'}`}
                             initial={{ height: 0 }}
@@ -69,48 +108,213 @@ function WeekChart({ data }) {
     );
 }
 
-// Stats storage key
-const STATS_KEY = 'focus_stats';
-
-// Get default stats structure
-function getDefaultStats() {
-    return {
-        totalFocusTime: 0,
-        sessionsCompleted: 0,
-        sessionsStarted: 0,
-        currentStreak: 0,
-        longestStreak: 0,
-        weeklyData: [0, 0, 0, 0, 0, 0, 0],
-        lastSessionDate: null,
-        history: [], // Array of { id, type, duration, timestamp, completed }
-    };
+function QualityChart({ data }) {
+    return (
+        <div className="flex items-end justify-between gap-1 h-16 px-1">
+            {data.map(({ date, average }, i) => (
+                <div
+                    key={date}
+                    className="flex-1 h-full flex items-end"
+                    title={average ? `${formatDayKey(date)}: ${average} (${getRatingLabel(Math.round(average))})` : `${formatDayKey(date)}: no ratings`}
+                >
+                    <motion.div
+                        className={`w-full rounded-t-sm ${average ? 'bg-ink' : 'bg-stone'}`}
+                        initial={{ height: 0 }}
+                        animate={{ height: `${average ? (average / 5) * 100 : 4}%` }}
+                        transition={{ delay: i * 0.03, type: 'spring', stiffness: 300, damping: 25 }}
+                    />
+                </div>
+            ))}
+        </div>
+    );
+}
+
+const HEAT_SHADES = ['bg-stone', 'bg-ink/20', 'bg-ink/45', 'bg-ink/70', 'bg-ink'];
+
+function HeatmapDayDetails({ dayKey, day, countPartial }) {
+    const todos = getStoreValue('todos');
+    const taskNames = Object.fromEntries((Array.isArray(todos) ? todos : []).map(t => [t.id, t.text]));
+    const tasks = Object.entries(day.tasks).sort((a, b) => b[1] - a[1]);
+
+    return (
+        <div className="mt-3 p-3 bg-stone rounded-xl text-[10px] text-stone-dark">
+            <p className="text-xs font-medium text-ink">
+                {parseDateKey(dayKey).toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric', year: 'numeric' })}
+            </p>
+            <p className="mt-0.5">
+                {formatDuration(getFocusSeconds(day, countPartial))} focus · {day.sessionsCompleted} of {day.sessionsStarted} sessions completed
+                {day.sessionsAbandoned > 0 && ` · ${formatDuration(day.abandonedSeconds)} abandoned`}
+                {day.breaks > 0 && ` · ${day.breaks} ${day.breaks === 1 ? 'break' : 'breaks'}`}
+            </p>
+            {tasks.length > 0 && (
+                <ul className="mt-2 space-y-0.5">
+                    {tasks.map(([taskId, seconds]) => (
+                        <li key={taskId} className="flex justify-between gap-2">
+                            <span className="text-ink truncate">{taskNames[taskId] || 'Deleted task'}</span>
+                            <span>{formatDuration(seconds)}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+function YearHeatmap({ daily, todayKey, countPartial }) {
+    const [selectedKey, setSelectedKey] = useState(null);
+    const scrollRef = useRef(null);
+    const weeks = getHeatmapWeeks();
+
+    // Open on the most recent weeks
+    useEffect(() => {
+        if (scrollRef.current) scrollRef.current.scrollLeft = scrollRef.current.scrollWidth;
+    }, []);
+
+    const yearKeys = weeks.flat().filter(key => key <= todayKey);
+    const focusSeconds = key => getFocusSeconds(getDay(daily, key), countPartial);
+    const yearSeconds = yearKeys.reduce((sum, key) => sum + focusSeconds(key), 0);
+    const activeDays = yearKeys.filter(key => focusSeconds(key) > 0).length;
+
+    return (
+        <div className="mt-4 bg-paper rounded-2xl p-4 shadow-clay-soft">
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="text-xs font-medium text-ink">Last 12 Months</h3>
+                <CalendarDays size={14} className="text-stone-dark" />
+            </div>
+            <div ref={scrollRef} className="overflow-x-auto pb-1">
+                <div className="inline-flex flex-col gap-1">
+                    <div className="flex gap-0.5 h-3">
+                        {weeks.map((week) => {
+                            const firstOfMonth = week.find(key => key.endsWith('-01') && key <= todayKey);
+                            return (
+                                <div key={week[0]} className="w-2.5 shrink-0 text-[9px] leading-none text-stone-dark whitespace-nowrap overflow-visible">
+                                    {firstOfMonth && parseDateKey(firstOfMonth).toLocaleDateString('en-US', { month: 'short' })}
+                                </div>
+                            );
+                        })}
+                    </div>
+                    <div className="flex gap-0.5">
+                        {weeks.map(week => (
+                            <div key={week[0]} className="flex flex-col gap-0.5">
+                                {week.map((key) => {
+                                    if (key > todayKey) return <div key={key} className="w-2.5 h-2.5" />;
+                                    const minutes = Math.round(focusSeconds(key) / 60);
+                                    return (
+                                        <button
+                                            key={key}
+                                            onClick={() => setSelectedKey(selectedKey === key ? null : key)}
+                                            title={`${formatDayKey(key)}: ${minutes}m`}
+                                            aria-label={`${formatDayKey(key)}: ${minutes} minutes focused`}
+                                            aria-pressed={selectedKey === key}
+                                            className={`w-2.5 h-2.5 rounded-sm ${HEAT_SHADES[getHeatLevel(minutes)]} ${selectedKey === key ? 'ring-1 ring-ink ring-offset-1 ring-offset-paper' : ''}`}
+                                        />
+                                    );
+                                })}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            </div>
+            <div className="flex items-center justify-between mt-2 text-[10px] text-stone-dark">
+                <span>{formatDuration(yearSeconds)} · {activeDays} active days</span>
+                <span className="flex items-center gap-0.5">
+                    Less
+                    {HEAT_SHADES.map(shade => <span key={shade} className={`w-2.5 h-2.5 rounded-sm ${shade}`} />)}
+                    More
+                </span>
+            </div>
+            {selectedKey && <HeatmapDayDetails dayKey={selectedKey} day={getDay(daily, selectedKey)} countPartial={countPartial} />}
+        </div>
+    );
+}
+
+// Days of history behind the interruption and focus quality summaries
+const RECENT_DAYS = 30;
+
+// Days of history the insights look at
+const INSIGHT_DAYS = 90;
+
+// Moment the trailing window of `days` focus days begins
+function getHistoryStart(days) {
+    return getDayStart(addDays(getLocalDateKey(), -(days - 1)));
 }
 
 export function FocusStats() {
-    const [stats, setStats] = useState(() => {
-        const stored = getStorageItem(STATS_KEY, null);
-        return { ...getDefaultStats(), ...stored };
-    });
+    const [stats] = useStoredState(STATS_KEY, toStatsView);
+    const [settings, setSettings] = useStoredState('settings', validateTimerSettings);
     const [showHistory, setShowHistory] = useState(false);
-
-    // Listen for storage changes (real-time updates)
+    const [showExport, setShowExport] = useState(false);
+    const [weekOffset, setWeekOffset] = useState(0);
+    const [historyPage, setHistoryPage] = useState({ records: [], hasMore: false });
+    const [insightHistory, setInsightHistory] = useState([]);
+    const [pastDaily, setPastDaily] = useState({});
+    const loadingMoreRef = useRef(false);
+    const shownCountRef = useRef(HISTORY_PAGE_SIZE);
+
+    // Reload history after any change, keeping as many records as are already shown
     useEffect(() => {
-        const handleStorageChange = () => {
-            const stored = getStorageItem(STATS_KEY, null);
-            if (stored) setStats({ ...getDefaultStats(), ...stored });
+        let cancelled = false;
+        const loadHistory = async () => {
+            await migrateStoredHistory();
+            const [page, recent] = await Promise.all([
+                getSessionPage(null, shownCountRef.current),
+                getSessionsInRange(getHistoryStart(INSIGHT_DAYS), Date.now() + 1),
+            ]);
+            if (cancelled) return;
+            setHistoryPage(page);
+            setInsightHistory(recent);
         };
 
-        window.addEventListener('storage', handleStorageChange);
-        // Also poll every 2 seconds for same-tab updates
-        const interval = setInterval(handleStorageChange, 2000);
-
+        loadHistory();
+        const unsubscribe = subscribeToHistory(loadHistory);
         return () => {
-            window.removeEventListener('storage', handleStorageChange);
-            clearInterval(interval);
+            cancelled = true;
+            unsubscribe();
         };
     }, []);
 
-    const todayFocusTime = stats.weeklyData[new Date().getDay()] || 0;
+    // focus_stats only keeps recent days, so rebuild the older ones the heatmap
+    // and week chart show from session history
+    const weekKeys = getWeekKeys(weekOffset);
+    const heatmapStartKey = getHeatmapWeeks()[0][0];
+    const shownFromKey = weekKeys[0] < heatmapStartKey ? weekKeys[0] : heatmapStartKey;
+    useEffect(() => {
+        let cancelled = false;
+        const loadDays = async () => {
+            await migrateStoredHistory();
+            const records = await getSessionsInRange(getDayStart(shownFromKey), Date.now() + 1);
+            if (!cancelled) setPastDaily(buildDaily(records));
+        };
+
+        loadDays();
+        const unsubscribe = subscribeToHistory(loadDays);
+        return () => {
+            cancelled = true;
+            unsubscribe();
+        };
+    }, [shownFromKey]);
+    const daily = useMemo(() => ({ ...pastDaily, ...stats.daily }), [pastDaily, stats.daily]);
+
+    const loadMoreHistory = useCallback(async () => {
+        if (loadingMoreRef.current || !historyPage.hasMore) return;
+        loadingMoreRef.current = true;
+        const next = await getSessionPage(historyPage.records[historyPage.records.length - 1]);
+        const records = [...historyPage.records, ...next.records];
+        shownCountRef.current = Math.max(records.length, HISTORY_PAGE_SIZE);
+        setHistoryPage({ records, hasMore: next.hasMore });
+        loadingMoreRef.current = false;
+    }, [historyPage]);
+
+    const handleHistoryScroll = (e) => {
+        const { scrollTop, clientHeight, scrollHeight } = e.currentTarget;
+        if (scrollTop + clientHeight >= scrollHeight - 40) loadMoreHistory();
+    };
+
+    const todayKey = getLocalDateKey();
+    const countPartial = settings.countPartialTime;
+    const todayFocusTime = getFocusSeconds(getDay(stats.daily, todayKey), countPartial);
+    const weekData = weekKeys.map(key => ({ key, minutes: Math.round(getFocusSeconds(getDay(daily, key), countPartial) / 60) }));
+    const weekTotalMinutes = weekData.reduce((sum, d) => sum + d.minutes, 0);
     const avgSessionTime = stats.sessionsCompleted > 0
         ? Math.round(stats.totalFocusTime / stats.sessionsCompleted / 60)
         : 0;
@@ -118,9 +322,29 @@ export function FocusStats() {
         ? Math.round((stats.sessionsCompleted / stats.sessionsStarted) * 100)
         : 0;
 
-    // Get today's history
-    const todayHistory = stats.history?.filter(h => h.timestamp?.startsWith(getTodayKey())) || [];
-    const recentHistory = stats.history?.slice(0, 20) || [];
+    const today = getDay(stats.daily, todayKey);
+    const activeStreak = getActiveStreak(getSavedStreak(stats, settings), todayKey, settings.streakFreezes);
+    const streakNotes = [
+        `Best: ${stats.longestStreak}d`,
+        settings.goalStreaks && settings.dailyGoal && 'goal days',
+        settings.streakFreezes === 'earned' && `${stats.streakFreezes} ${stats.streakFreezes === 1 ? 'freeze' : 'freezes'}`,
+    ].filter(Boolean);
+    const goals = [
+        { label: 'Today', progress: getDailyGoalProgress(stats.daily, settings, todayKey) },
+        { label: 'This Week', progress: getWeeklyGoalProgress(stats.daily, settings) },
+    ].filter(goal => goal.progress);
+    const recentStart = getHistoryStart(RECENT_DAYS).toISOString();
+    const recentHistory = insightHistory.filter(h => h.timestamp >= recentStart);
+    const historyInterruptions = summarizeInterruptions(
+        recentHistory.flatMap(h => h.interruptions || [])
+    );
+    const mostCommonInterruption = getMostCommonInterruption(recentHistory);
+    const averageRating = getAverageRating(recentHistory);
+    const qualityByDay = getFocusQualityByDay(recentHistory);
+
+    const toggleCountPartial = () => {
+        setSettings(current => ({ ...current, countPartialTime: !current.countPartialTime }));
+    };
 
     return (
         <div className="w-full max-w-md mx-auto">
@@ -129,22 +353,68 @@ export function FocusStats() {
                     <h2 className="text-lg font-medium text-ink">Focus Stats</h2>
                     <p className="text-xs text-stone-dark">Real-time tracking</p>
                 </div>
-                <button
-                    onClick={() => setShowHistory(!showHistory)}
-                    className={`p-2 rounded-lg ${showHistory ? 'bg-ink text-paper' : 'bg-stone text-ink'}`}
-                >
-                    <History size={16} />
-                </button>
+                <div className="flex gap-2">
+                    <button
+                        onClick={() => setShowExport(!showExport)}
+                        className={`p-2 rounded-lg ${showExport ? 'bg-ink text-paper' : 'bg-stone text-ink'}`}
+                        aria-label="Export and import"
+                    >
+                        <Download size={16} />
+                    </button>
+                    <button
+                        onClick={() => setShowHistory(!showHistory)}
+                        className={`p-2 rounded-lg ${showHistory ? 'bg-ink text-paper' : 'bg-stone text-ink'}`}
+                    >
+                        <History size={16} />
+                    </button>
+                </div>
             </div>
 
+            {/* Export & Import */}
+            <AnimatePresence>
+                {showExport && (
+                    <motion.div
+                        initial={{ opacity: 0, height: 0 }}
+                        animate={{ opacity: 1, height: 'auto' }}
+                        exit={{ opacity: 0, height: 0 }}
+                        className="mb-4 overflow-hidden"
+                    >
+                        <ExportPanel stats={stats} onImport={importSessions} />
+                    </motion.div>
+                )}
+            </AnimatePresence>
+
             {/* Stats Grid */}
             <div className="grid grid-cols-2 gap-3 mb-4">
-                <StatCard icon={Clock} label="Today" value={formatDuration(todayFocusTime * 60)} subtext="focus time" />
+                <StatCard icon={Clock} label="Today" value={formatDuration(todayFocusTime)} subtext={countPartial ? 'incl. partial time' : 'focus time'} />
                 <StatCard icon={Target} label="Completed" value={stats.sessionsCompleted} subtext={`of ${stats.sessionsStarted} started`} />
-                <StatCard icon={Flame} label="Streak" value={`${stats.currentStreak}d`} subtext={`Best: ${stats.longestStreak}d`} />
+                <StatCard icon={Flame} label="Streak" value={`${activeStreak}d`} subtext={streakNotes.join(' · ')} />
                 <StatCard icon={TrendingUp} label="Avg Session" value={`${avgSessionTime}m`} subtext={`${completionRate}% completion`} />
             </div>
 
+            {/* Goals */}
+            {goals.length > 0 && (
+                <div className="mb-4 bg-paper rounded-2xl p-4 shadow-clay-soft">
+                    <h3 className="text-xs font-medium text-ink mb-3">Goals</h3>
+                    <div className="flex justify-around">
+                        {goals.map(({ label, progress }) => (
+                            <div key={label} className="flex flex-col items-center gap-1">
+                                <ProgressRing ratio={progress.ratio} size={72}>
+                                    {progress.met
+                                        ? <CheckCircle size={18} className="text-ink" />
+                                        : <span className="text-xs font-medium text-ink">{Math.round(progress.ratio * 100)}%</span>}
+                                </ProgressRing>
+                                <p className="text-xs text-ink">{label}</p>
+                                <p className="text-[10px] text-stone-dark">
+                                    {progress.unit === 'sessions' ? progress.value : formatGoalAmount(progress.value, progress.unit)}
+                                    {' / '}{formatGoalAmount(progress.target, progress.unit)}
+                                </p>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             {/* Session History */}
             <AnimatePresence>
                 {showHistory && (
@@ -157,14 +427,31 @@ export function FocusStats() {
                         <div className="bg-paper rounded-2xl p-4 shadow-clay-soft">
                             <h3 className="text-sm font-medium text-ink mb-3">Session History</h3>
 
-                            {recentHistory.length === 0 ? (
+                            {historyInterruptions.count > 0 && (
+                                <div className="mb-3 p-2 bg-stone rounded-xl text-[10px] text-stone-dark">
+                                    <p>
+                                        Last {RECENT_DAYS} days: {historyInterruptions.count} interruptions · {formatDuration(historyInterruptions.totalSeconds)} lost
+                                    </p>
+                                    {mostCommonInterruption && (
+                                        <p className="text-ink mt-0.5">
+                                            Most common: {mostCommonInterruption.label} ({mostCommonInterruption.count}×)
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+
+                            {historyPage.records.length === 0 ? (
                                 <p className="text-xs text-stone-dark text-center py-4">No sessions yet</p>
                             ) : (
-                                <div className="space-y-2 max-h-60 overflow-y-auto">
-                                    {recentHistory.map((session, i) => (
-                                        <div key={session.id || i} className="flex items-center gap-3 py-2 border-b border-stone last:border-0">
-                                            <div className={`w-6 h-6 rounded-full flex items-center justify-center ${session.completed ? 'bg-green-100' : 'bg-stone'}`}>
-                                                {session.completed ? (
+                                <div className="space-y-2 max-h-60 overflow-y-auto" onScroll={handleHistoryScroll}>
+                                    {historyPage.records.map(session => (
+                                        <div key={session.id} className="flex items-center gap-3 py-2 border-b border-stone last:border-0">
+                                            <div className={`w-6 h-6 rounded-full flex items-center justify-center ${session.type === 'break' ? 'bg-stone' : session.completed ? 'bg-green-100' : 'bg-stone'}`}>
+                                                {session.type === 'break' ? (
+                                                    <Coffee size={12} className="text-stone-dark" />
+                                                ) : session.type === 'abandoned' ? (
+                                                    <XCircle size={12} className="text-stone-dark" />
+                                                ) : session.completed ? (
                                                     <CheckCircle size={12} className="text-green-600" />
                                                 ) : (
                                                     <Play size={10} className="text-stone-dark" />
@@ -172,14 +459,34 @@ export function FocusStats() {
                                             </div>
                                             <div className="flex-1">
                                                 <p className="text-sm text-ink">
-                                                    {session.completed ? 'Completed' : 'Started'} • {Math.round(session.duration / 60)}m
+                                                    {getSessionLabel(session)}
+                                                    {session.rating && (
+                                                        <span className="text-[10px] text-stone-dark"> · {session.rating}/5 {getRatingLabel(session.rating)}</span>
+                                                    )}
                                                 </p>
+                                                {session.intention && (
+                                                    <p className="text-xs text-ink-soft truncate">&ldquo;{session.intention}&rdquo;</p>
+                                                )}
+                                                {session.note && (
+                                                    <p className="text-xs text-stone-dark italic">{session.note}</p>
+                                                )}
                                                 <p className="text-[10px] text-stone-dark">
                                                     {formatDate(session.timestamp)} at {formatTime(session.timestamp)}
+                                                    {session.interruptions?.length > 0 && (
+                                                        ` · ${session.interruptions.length} interrupted, ${formatDuration(summarizeInterruptions(session.interruptions).totalSeconds)}`
+                                                    )}
                                                 </p>
                                             </div>
                                         </div>
                                     ))}
+                                    {historyPage.hasMore && (
+                                        <button
+                                            onClick={loadMoreHistory}
+                                            className="w-full py-2 text-[10px] text-stone-dark hover:text-ink"
+                                        >
+                                            Show older sessions
+                                        </button>
+                                    )}
                                 </div>
                             )}
                         </div>
@@ -189,113 +496,107 @@ export function FocusStats() {
 
             {/* Weekly Chart */}
             <div className="bg-paper rounded-2xl p-4 shadow-clay-soft">
-                <h3 className="text-xs font-medium text-ink mb-3">This Week</h3>
-                <WeekChart data={stats.weeklyData} />
+                <div className="flex items-center justify-between mb-3">
+                    <button
+                        onClick={() => setWeekOffset(weekOffset - 1)}
+                        className="p-1 rounded-lg text-stone-dark hover:text-ink"
+                        aria-label="Previous week"
+                    >
+                        <ChevronLeft size={14} />
+                    </button>
+                    <button
+                        onClick={() => setWeekOffset(0)}
+                        className="text-xs font-medium text-ink"
+                        title="Back to this week"
+                    >
+                        {getWeekTitle(weekOffset, weekKeys)}
+                    </button>
+                    <button
+                        onClick={() => setWeekOffset(weekOffset + 1)}
+                        disabled={weekOffset === 0}
+                        className="p-1 rounded-lg text-stone-dark hover:text-ink disabled:opacity-30"
+                        aria-label="Next week"
+                    >
+                        <ChevronRight size={14} />
+                    </button>
+                </div>
+                <WeekChart data={weekData} todayKey={todayKey} />
                 <div className="flex justify-between mt-2 text-[10px] text-stone-dark">
-                    <span>Total: {formatDuration(stats.weeklyData.reduce((a, b) => a + b, 0) * 60)}</span>
-                    <span>{stats.weeklyData.filter(d => d > 0).length} active days</span>
+                    <span>Total: {formatDuration(weekTotalMinutes * 60)}</span>
+                    <span>{weekData.filter(d => d.minutes > 0).length} active days</span>
                 </div>
             </div>
 
+            {/* Year Heatmap */}
+            <YearHeatmap daily={daily} todayKey={todayKey} countPartial={countPartial} />
+
+            {/* Insights */}
+            <InsightsPanel records={insightHistory} daily={stats.daily} todayKey={todayKey} dayStartHour={settings.dayStartHour} days={INSIGHT_DAYS} />
+
+            {/* Focus Quality */}
+            {averageRating && (
+                <div className="mt-4 bg-paper rounded-2xl p-4 shadow-clay-soft">
+                    <div className="flex items-center justify-between mb-3">
+                        <h3 className="text-xs font-medium text-ink">Focus Quality</h3>
+                        <Sparkles size={14} className="text-stone-dark" />
+                    </div>
+                    <QualityChart data={qualityByDay} />
+                    <div className="flex justify-between mt-2 text-[10px] text-stone-dark">
+                        <span>Last 14 days</span>
+                        <span>Avg: {averageRating}/5 · {getRatingLabel(Math.round(averageRating))}</span>
+                    </div>
+                </div>
+            )}
+
+            {/* Achievements */}
+            <AchievementGallery stats={stats} />
+
             {/* Total */}
             <div className="mt-4 text-center py-4 border-t border-stone">
                 <p className="text-2xl font-light text-ink">{formatDuration(stats.totalFocusTime)}</p>
                 <p className="text-xs text-stone-dark">total focus time</p>
+                {stats.sessionsBroken > 0 && (
+                    <p className="text-[10px] text-stone-dark mt-1">
+                        {stats.sessionsBroken} locked {stats.sessionsBroken === 1 ? 'session' : 'sessions'} broken
+                    </p>
+                )}
+                {stats.breaksCompleted > 0 && (
+                    <p className="text-[10px] text-stone-dark mt-1">
+                        {stats.breaksCompleted} breaks · {formatDuration(stats.totalBreakTime)} rested
+                    </p>
+                )}
+                {stats.sessionsAbandoned > 0 && (
+                    <div className="mt-3 flex items-center justify-center gap-2 text-[10px] text-stone-dark">
+                        <span>
+                            {formatDuration(stats.totalAbandonedTime)} in {stats.sessionsAbandoned} abandoned {stats.sessionsAbandoned === 1 ? 'session' : 'sessions'}
+                        </span>
+                        <button
+                            onClick={toggleCountPartial}
+                            aria-pressed={countPartial}
+                            className={`px-2 py-0.5 rounded-full ${countPartial ? 'bg-ink text-paper' : 'bg-stone text-ink'}`}
+                        >
+                            {countPartial ? 'Counted in daily totals' : 'Count in daily totals'}
+                        </button>
+                    </div>
+                )}
             </div>
 
             {/* Today's Activity */}
-            {todayHistory.length > 0 && (
+            {(today.sessionsStarted > 0 || today.breaks > 0) && (
                 <div className="mt-4 p-3 bg-stone rounded-xl">
                     <p className="text-xs font-medium text-ink mb-2">Today's Activity</p>
                     <div className="flex items-center gap-4 text-xs text-stone-dark">
-                        <span><Play size={10} className="inline mr-1" />{todayHistory.length} started</span>
-                        <span><CheckCircle size={10} className="inline mr-1" />{todayHistory.filter(h => h.completed).length} completed</span>
+                        <span><Play size={10} className="inline mr-1" />{today.sessionsStarted} started</span>
+                        <span><CheckCircle size={10} className="inline mr-1" />{today.sessionsCompleted} completed</span>
+                        {today.sessionsAbandoned > 0 && (
+                            <span><XCircle size={10} className="inline mr-1" />{today.sessionsAbandoned} abandoned · {formatDuration(today.abandonedSeconds)}</span>
+                        )}
+                        {today.breaks > 0 && (
+                            <span><Coffee size={10} className="inline mr-1" />{today.breaks} breaks</span>
+                        )}
                     </div>
                 </div>
             )}
         </div>
     );
 }
-
-/**
- * Hook to record when timer starts
- */
-export function useRecordStart() {
-    return useCallback((durationSeconds) => {
-        const stored = getStorageItem(STATS_KEY, null) || getDefaultStats();
-
-        const newHistory = [
-            {
-                id: Date.now().toString(36),
-                type: 'start',
-                duration: durationSeconds,
-                timestamp: new Date().toISOString(),
-                completed: false,
-            },
-            ...(stored.history || []).slice(0, 99), // Keep last 100
-        ];
-
-        const newStats = {
-            ...stored,
-            sessionsStarted: (stored.sessionsStarted || 0) + 1,
-            history: newHistory,
-        };
-
-        setStorageItem(STATS_KEY, newStats);
-        return newStats;
-    }, []);
-}
-
-/**
- * Hook to record completed session
- */
-export function useRecordSession() {
-    return useCallback((durationSeconds) => {
-        const stored = getStorageItem(STATS_KEY, null) || getDefaultStats();
-
-        const today = getTodayKey();
-        const todayDayIndex = new Date().getDay();
-        const durationMinutes = Math.round(durationSeconds / 60);
-
-        const newWeeklyData = [...(stored.weeklyData || [0, 0, 0, 0, 0, 0, 0])];
-        newWeeklyData[todayDayIndex] = (newWeeklyData[todayDayIndex] || 0) + durationMinutes;
-
-        let newStreak = stored.currentStreak || 0;
-        if (stored.lastSessionDate !== today) {
-            const yesterday = new Date();
-            yesterday.setDate(yesterday.getDate() - 1);
-            const yesterdayKey = yesterday.toISOString().split('T')[0];
-            if (stored.lastSessionDate === yesterdayKey) {
-                newStreak = (stored.currentStreak || 0) + 1;
-            } else {
-                newStreak = 1;
-            }
-        }
-
-        // Add to history
-        const newHistory = [
-            {
-                id: Date.now().toString(36),
-                type: 'complete',
-                duration: durationSeconds,
-                timestamp: new Date().toISOString(),
-                completed: true,
-            },
-            ...(stored.history || []).slice(0, 99),
-        ];
-
-        const newStats = {
-            ...stored,
-            totalFocusTime: (stored.totalFocusTime || 0) + durationSeconds,
-            sessionsCompleted: (stored.sessionsCompleted || 0) + 1,
-            currentStreak: newStreak,
-            longestStreak: Math.max(stored.longestStreak || 0, newStreak),
-            weeklyData: newWeeklyData,
-            lastSessionDate: today,
-            history: newHistory,
-        };
-
-        setStorageItem(STATS_KEY, newStats);
-        return newStats;
-    }, []);
-}
@@ -0,0 +1,46 @@
+import { useMemo } from 'react';
+import { buildInsights } from '../../utils/insights';
+import { Clock, CalendarDays, Timer, TrendingUp } from 'lucide-react';
+
+const INSIGHT_ICONS = {
+    hours: Clock,
+    weekdays: CalendarDays,
+    lengths: Timer,
+    trend: TrendingUp,
+};
+
+/**
+ * Insights Panel Component
+ * Plain-language cards on when and how long you focus best
+ */
+export function InsightsPanel({ records, daily, todayKey, dayStartHour, days }) {
+    const insights = useMemo(
+        () => buildInsights(records, daily, todayKey, dayStartHour),
+        [records, daily, todayKey, dayStartHour],
+    );
+
+    return (
+        <div className="mt-4 bg-paper rounded-2xl p-4 shadow-clay-soft">
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="text-xs font-medium text-ink">Insights</h3>
+                <span className="text-[10px] text-stone-dark">Last {days} days</span>
+            </div>
+            <div className="space-y-2">
+                {insights.map(({ id, title, summary, ready }) => {
+                    const Icon = INSIGHT_ICONS[id];
+                    return (
+                        <div key={id} className="flex gap-3 p-3 bg-stone rounded-xl">
+                            <div className="w-7 h-7 shrink-0 rounded-lg bg-paper flex items-center justify-center">
+                                <Icon size={14} className={ready ? 'text-ink' : 'text-stone-dark'} />
+                            </div>
+                            <div>
+                                <p className="text-xs font-medium text-ink">{title}</p>
+                                <p className={`text-[11px] leading-snug ${ready ? 'text-ink-soft' : 'text-stone-dark'}`}>{summary}</p>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
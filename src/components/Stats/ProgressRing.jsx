@@ -0,0 +1,43 @@
+import { motion } from 'framer-motion';
+
+/**
+ * Progress Ring Component
+ * Circular progress for goals, drawn with theme colours so it follows dark mode
+ */
+export function ProgressRing({ ratio, size = 64, strokeWidth = 5, children }) {
+    const radius = (size - strokeWidth) / 2;
+    const circumference = 2 * Math.PI * radius;
+
+    return (
+        <div className="relative shrink-0" style={{ width: size, height: size }}>
+            <svg width={size} height={size} className="-rotate-90">
+                <circle
+                    cx={size / 2}
+                    cy={size / 2}
+                    r={radius}
+                    fill="none"
+                    strokeWidth={strokeWidth}
+                    className="stroke-stone"
+                />
+                <motion.circle
+                    cx={size / 2}
+                    cy={size / 2}
+                    r={radius}
+                    fill="none"
+                    strokeWidth={strokeWidth}
+                    strokeLinecap="round"
+                    strokeDasharray={circumference}
+                    className="stroke-ink"
+                    initial={{ strokeDashoffset: circumference }}
+                    animate={{ strokeDashoffset: circumference * (1 - ratio) }}
+                    transition={{ type: 'spring', stiffness: 120, damping: 20 }}
+                />
+            </svg>
+            {children && (
+                <div className="absolute inset-0 flex items-center justify-center">
+                    {children}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,33 +1,14 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback } from 'react';
 import { motion, AnimatePresence, Reorder } from 'framer-motion';
-import { getStorageItem, setStorageItem } from '../../utils/storage';
-import { Check, Trash2, Plus } from 'lucide-react';
-
-/**
- * Generate a unique ID for todos
- */
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
-}
-
-/**
- * Validate and sanitize todo item
- */
-function sanitizeTodo(todo) {
-    if (!todo || typeof todo !== 'object') return null;
-
-    return {
-        id: typeof todo.id === 'string' ? todo.id : generateId(),
-        text: typeof todo.text === 'string' ? todo.text.slice(0, 200) : '',
-        completed: typeof todo.completed === 'boolean' ? todo.completed : false,
-        createdAt: typeof todo.createdAt === 'number' ? todo.createdAt : Date.now(),
-    };
-}
+import { Check, Trash2, Plus, Crosshair } from 'lucide-react';
+import { generateId, sanitizeTodo } from '../../utils/todos';
+import { useTodos } from '../../hooks/useTodos';
+import { useTaskFocusTime } from '../../hooks/useFocusRecorders';
 
 /**
  * TodoItem - Individual todo with swipe-to-complete gesture
  */
-function TodoItem({ item, onToggle, onDelete }) {
+function TodoItem({ item, onToggle, onDelete, focusSeconds = 0, isFocusTask = false, onFocus }) {
     const [isDeleting, setIsDeleting] = useState(false);
 
     const handleSwipeEnd = (e, info) => {
@@ -85,10 +66,29 @@ function TodoItem({ item, onToggle, onDelete }) {
                     </button>
 
                     {/* Text */}
-                    <span className={`flex-1 text-ink transition-all ${item.completed ? 'line-through opacity-50' : ''
-                        }`}>
-                        {item.text}
-                    </span>
+                    <div className="flex-1 min-w-0">
+                        <span className={`block text-ink transition-all ${item.completed ? 'line-through opacity-50' : ''
+                            }`}>
+                            {item.text}
+                        </span>
+                        {focusSeconds >= 60 && (
+                            <span className="text-[10px] text-stone-dark">
+                                {Math.round(focusSeconds / 60)}m focused
+                            </span>
+                        )}
+                    </div>
+
+                    {/* Focus on this task */}
+                    {!item.completed && onFocus && (
+                        <button
+                            onClick={() => onFocus(item.id)}
+                            aria-label="Focus on this task"
+                            aria-pressed={isFocusTask}
+                            className={`p-2 transition-colors ${isFocusTask ? 'text-ink' : 'text-stone-dark hover:text-ink'}`}
+                        >
+                            <Crosshair size={16} />
+                        </button>
+                    )}
 
                     {/* Delete button */}
                     <button
@@ -108,23 +108,16 @@ function TodoItem({ item, onToggle, onDelete }) {
 
 /**
  * TodoList - Gesture-driven task list
+ * @param {string|null} focusTaskId - Todo currently picked for the timer
+ * @param {Function} onFocusTask - Called with a todo id to focus on it
  */
-export function TodoList() {
-    const [todos, setTodos] = useState(() => {
-        const stored = getStorageItem('todos', []);
-        return Array.isArray(stored)
-            ? stored.map(sanitizeTodo).filter(Boolean)
-            : [];
-    });
+export function TodoList({ focusTaskId = null, onFocusTask }) {
+    const taskFocusTime = useTaskFocusTime();
+    const [todos, setTodos] = useTodos();
 
     const [newTodoText, setNewTodoText] = useState('');
     const [isAddingNew, setIsAddingNew] = useState(false);
 
-    // Save to storage when todos change
-    useEffect(() => {
-        setStorageItem('todos', todos);
-    }, [todos]);
-
     const addTodo = useCallback(() => {
         const trimmed = newTodoText.trim();
         if (!trimmed || trimmed.length > 200) return;
@@ -141,21 +134,21 @@ export function TodoList() {
             setNewTodoText('');
             setIsAddingNew(false);
         }
-    }, [newTodoText]);
+    }, [newTodoText, setTodos]);
 
     const toggleTodo = useCallback((id) => {
         setTodos(prev => prev.map(todo =>
             todo.id === id ? { ...todo, completed: !todo.completed } : todo
         ));
-    }, []);
+    }, [setTodos]);
 
     const deleteTodo = useCallback((id) => {
         setTodos(prev => prev.filter(todo => todo.id !== id));
-    }, []);
+    }, [setTodos]);
 
     const handleReorder = useCallback((newOrder) => {
         setTodos(newOrder);
-    }, []);
+    }, [setTodos]);
 
     const completedCount = todos.filter(t => t.completed).length;
     const totalCount = todos.length;
@@ -252,6 +245,9 @@ export function TodoList() {
                             item={item}
                             onToggle={toggleTodo}
                             onDelete={deleteTodo}
+                            focusSeconds={taskFocusTime[item.id] || 0}
+                            isFocusTask={item.id === focusTaskId}
+                            onFocus={onFocusTask}
                         />
                     ))}
                 </AnimatePresence>
@@ -0,0 +1,27 @@
+import { motion } from 'framer-motion';
+import { useLongPress } from '../../hooks/useLongPress';
+
+/**
+ * Hold Button Component
+ * Only fires after being held down, for actions that shouldn't happen by accident
+ */
+export function HoldButton({ onHold, delay = 1500, children, className = '' }) {
+    const { isPressed, handlers } = useLongPress(onHold, delay);
+
+    return (
+        <button
+            {...handlers}
+            onContextMenu={(e) => e.preventDefault()}
+            aria-label={`${children} (press and hold)`}
+            className={`relative overflow-hidden select-none ${className}`}
+        >
+            <motion.span
+                className="absolute inset-y-0 left-0 bg-stone-dark opacity-40"
+                initial={false}
+                animate={{ width: isPressed ? '100%' : '0%' }}
+                transition={isPressed ? { duration: delay / 1000, ease: 'linear' } : { duration: 0.2 }}
+            />
+            <span className="relative">{children}</span>
+        </button>
+    );
+}
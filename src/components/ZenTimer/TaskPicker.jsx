@@ -0,0 +1,70 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Crosshair, X } from 'lucide-react';
+
+/**
+ * Task Picker Component
+ * Lets the idle timer attach the next focus session to a todo
+ */
+export function TaskPicker({ tasks, selectedTask, onSelect }) {
+    const [isOpen, setIsOpen] = useState(false);
+
+    const handleToggle = () => {
+        setIsOpen(!isOpen);
+    };
+
+    const handleSelect = (id) => {
+        onSelect(id);
+        setIsOpen(false);
+    };
+
+    return (
+        <div className="relative mt-4 flex flex-col items-center">
+            <div className="flex items-center gap-2">
+                <button
+                    onClick={handleToggle}
+                    className="flex items-center gap-2 px-3 py-1.5 rounded-xl bg-stone text-xs text-ink max-w-[220px]"
+                >
+                    <Crosshair size={12} className="flex-shrink-0" />
+                    <span className="truncate">{selectedTask ? selectedTask.text : 'Focus on a task'}</span>
+                </button>
+                {selectedTask && (
+                    <button
+                        onClick={() => handleSelect(null)}
+                        className="p-1 text-stone-dark hover:text-ink transition-colors"
+                    >
+                        <X size={12} />
+                    </button>
+                )}
+            </div>
+
+            <AnimatePresence>
+                {isOpen && (
+                    <motion.div
+                        initial={{ opacity: 0, y: -10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -10 }}
+                        className="mt-2 w-64 max-h-48 overflow-y-auto bg-paper rounded-2xl p-2 shadow-clay-soft text-left"
+                    >
+                        {tasks.length === 0 ? (
+                            <p className="text-xs text-stone-dark text-center py-3">No open tasks</p>
+                        ) : (
+                            tasks.map((task) => (
+                                <button
+                                    key={task.id}
+                                    onClick={() => handleSelect(task.id)}
+                                    className={`w-full text-left px-3 py-2 rounded-xl text-sm truncate transition-colors ${selectedTask?.id === task.id
+                                        ? 'bg-ink text-paper'
+                                        : 'text-ink hover:bg-stone'
+                                        }`}
+                                >
+                                    {task.text}
+                                </button>
+                            ))
+                        )}
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
@@ -3,10 +3,14 @@ import { motion, useMotionValue, useSpring } from 'framer-motion';
 import {
     getAngleFromCenter,
     angleToMinutes,
+    minutesToAngle,
+    getAngleDelta,
+    getNearestWinding,
     snapToIncrement,
     isOnCircleEdge,
     formatTime,
 } from '../../utils/math';
+import { describeMinutes, getTimerAnnouncement } from '../../utils/announce';
 import { RippleContainer, useRipples } from '../Feedback/Ripple';
 
 /**
@@ -19,6 +23,25 @@ const SPRING_CONFIG = {
     restDelta: 0.001,
 };
 
+/**
+ * Laps the radial dial can be wound (one lap = 60 minutes)
+ */
+const MAX_DIAL_LAPS = 2;
+
+/**
+ * Minutes added/removed by PageUp/PageDown on the keyboard slider
+ */
+const PAGE_STEP = 15;
+
+/**
+ * Labels for Pomodoro phases
+ */
+const PHASE_LABELS = {
+    focus: 'Focus',
+    shortBreak: 'Short break',
+    longBreak: 'Long break',
+};
+
 /**
  * TimerCircle Component
  * Fixed touch handling for mobile - prevents accidental pauses
@@ -27,6 +50,14 @@ export function TimerCircle({
     duration,
     remaining,
     status,
+    mode = 'countdown',
+    elapsed = 0,
+    phase = 'focus',
+    round = 1,
+    totalRounds = null,
+    taskTitle = null,
+    snapIncrement = 5,
+    minDuration = 5,
     onDurationChange,
     onDragStart,
     onDragEnd,
@@ -35,6 +66,7 @@ export function TimerCircle({
     onFlickCancel,
     onLongPress,
     onTap,
+    onCancel,
 }) {
     const circleRef = useRef(null);
     const { ripples, addRipple } = useRipples();
@@ -47,6 +79,9 @@ export function TimerCircle({
     const longPressTimerRef = useRef(null);
     const longPressTriggeredRef = useRef(false);
 
+    // Dial winding: total angle swept (may exceed 2π) and last raw angle
+    const windingRef = useRef({ total: 0, lastAngle: 0 });
+
     // Motion values
     const scale = useMotionValue(1);
     const y = useMotionValue(0);
@@ -56,6 +91,12 @@ export function TimerCircle({
     // Progress for visual arc
     const progress = duration > 0 ? remaining / duration : 0;
 
+    // Flow mode draws one lap of the ring per hour
+    const isFlow = mode === 'flow';
+    const isActive = status === 'running' || status === 'paused';
+    const flowLaps = Math.floor(elapsed / 3600);
+    const lapProgress = (elapsed % 3600) / 3600;
+
     // Circle dimensions
     const circleSize = Math.min(260, window.innerWidth * 0.65);
     const radius = circleSize / 2;
@@ -86,7 +127,6 @@ export function TimerCircle({
 
     // Handle touch start
     const handleTouchStart = useCallback((e) => {
-        if (status === 'settings') return;
         e.preventDefault(); // Prevent default to avoid double-firing
 
         const pos = getEventPos(e);
@@ -103,7 +143,13 @@ export function TimerCircle({
         const center = getCircleCenter();
         const onEdge = isOnCircleEdge(pos.x, pos.y, center.x, center.y, radius, 0.35);
 
-        if (onEdge && (status === 'idle' || status === 'adjusting')) {
+        if (onEdge && !isFlow && (status === 'idle' || status === 'adjusting')) {
+            // Start on whichever lap keeps the grab closest to the current duration
+            const angle = getAngleFromCenter(pos.x, pos.y, center.x, center.y);
+            windingRef.current = {
+                total: getNearestWinding(angle, minutesToAngle(duration / 60)),
+                lastAngle: angle,
+            };
             setIsDragging(true);
             onDragStart?.();
             scale.set(1.02);
@@ -114,7 +160,7 @@ export function TimerCircle({
                 onLongPress?.();
             }, 500);
         }
-    }, [status, getCircleCenter, radius, addRipple, onDragStart, onLongPress, scale]);
+    }, [status, isFlow, duration, getCircleCenter, radius, addRipple, onDragStart, onLongPress, scale]);
 
     // Handle touch move
     const handleTouchMove = useCallback((e) => {
@@ -138,9 +184,16 @@ export function TimerCircle({
 
         const center = getCircleCenter();
         const angle = getAngleFromCenter(pos.x, pos.y, center.x, center.y);
-        const minutes = angleToMinutes(angle, 60);
-        const snapped = snapToIncrement(minutes, 5);
-        onDurationChange?.(Math.max(5, snapped));
+
+        // Track winding across 12 o'clock so a second lap adds another hour
+        const winding = windingRef.current;
+        const maxAngle = MAX_DIAL_LAPS * 2 * Math.PI;
+        winding.total = Math.max(0, Math.min(maxAngle, winding.total + getAngleDelta(winding.lastAngle, angle)));
+        winding.lastAngle = angle;
+
+        const minutes = angleToMinutes(winding.total, 60, MAX_DIAL_LAPS);
+        const snapped = snapToIncrement(minutes, snapIncrement);
+        onDurationChange?.(Math.max(minDuration, snapped));
 
         // Check drop zone
         const inDropZone = checkDropZone(pos.y);
@@ -156,7 +209,7 @@ export function TimerCircle({
                 scale.set(1.02);
             }
         }
-    }, [isDragging, getCircleCenter, onDurationChange, checkDropZone, isInDropZone, onEnterDropZone, onExitDropZone, y, scale]);
+    }, [isDragging, getCircleCenter, snapIncrement, minDuration, onDurationChange, checkDropZone, isInDropZone, onEnterDropZone, onExitDropZone, y, scale]);
 
     // Handle touch end
     const handleTouchEnd = useCallback((e) => {
@@ -207,6 +260,47 @@ export function TimerCircle({
         };
     }, []);
 
+    // Keyboard control: slider keys while idle, Enter/Space to start/pause/resume, Escape to cancel
+    const isSlider = !isFlow && status === 'idle';
+    const handleKeyDown = useCallback((e) => {
+
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            onTap?.();
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            if (status === 'running' || status === 'paused') {
+                e.preventDefault();
+                onCancel?.();
+            }
+            return;
+        }
+
+        if (!isSlider) return;
+
+        const minutes = Math.round(duration / 60);
+        const maxMinutes = MAX_DIAL_LAPS * 60;
+        const steps = {
+            ArrowUp: snapIncrement,
+            ArrowRight: snapIncrement,
+            ArrowDown: -snapIncrement,
+            ArrowLeft: -snapIncrement,
+            PageUp: PAGE_STEP,
+            PageDown: -PAGE_STEP,
+        };
+
+        let next = null;
+        if (e.key in steps) next = minutes + steps[e.key];
+        if (e.key === 'Home') next = minDuration;
+        if (e.key === 'End') next = maxMinutes;
+        if (next === null) return;
+
+        e.preventDefault();
+        onDurationChange?.(Math.max(minDuration, Math.min(maxMinutes, next)));
+    }, [status, isSlider, duration, snapIncrement, minDuration, onTap, onCancel, onDurationChange]);
+
     // Progress arc
     const progressArc = useCallback(() => {
         if (status !== 'running' && status !== 'paused') return '';
@@ -249,9 +343,79 @@ export function TimerCircle({
         return `M ${cx} ${cy - r} A ${r} ${r} 0 ${largeArc} 1 ${endX} ${endY}`;
     }, [duration, radius, status]);
 
-    const displayTime = formatTime(status === 'running' || status === 'paused' ? remaining : duration);
+    // Inner ring for the second lap of sessions over an hour
+    const extraLapArc = useCallback(() => {
+        if (status !== 'idle' && status !== 'adjusting' && status !== 'committing') return '';
+
+        const minutes = duration / 60 - 60;
+        if (minutes <= 0) return '';
+
+        const angle = (minutes / 60) * 2 * Math.PI;
+        const r = radius - 20;
+        const cx = radius;
+        const cy = radius;
+
+        if (minutes >= 60) {
+            return `M ${cx} ${cy - r} A ${r} ${r} 0 1 1 ${cx - 0.001} ${cy - r}`;
+        }
+
+        const endX = cx + r * Math.sin(angle);
+        const endY = cy - r * Math.cos(angle);
+        const largeArc = angle > Math.PI ? 1 : 0;
+
+        return `M ${cx} ${cy - r} A ${r} ${r} 0 ${largeArc} 1 ${endX} ${endY}`;
+    }, [duration, radius, status]);
+
+    // Elapsed arc for the current flow lap
+    const flowArc = useCallback(() => {
+        if (!isFlow || (status !== 'running' && status !== 'paused')) return '';
+        if (lapProgress <= 0) return '';
+
+        const angle = lapProgress * 2 * Math.PI;
+        const r = radius - 8;
+        const cx = radius;
+        const cy = radius;
+
+        const endX = cx + r * Math.sin(angle);
+        const endY = cy - r * Math.cos(angle);
+        const largeArc = angle > Math.PI ? 1 : 0;
+
+        return `M ${cx} ${cy - r} A ${r} ${r} 0 ${largeArc} 1 ${endX} ${endY}`;
+    }, [isFlow, lapProgress, radius, status]);
+
+    const getArcPath = () => {
+        if (isFlow) return flowArc();
+        return isActive ? progressArc() : durationArc();
+    };
+
+    const displayTime = isFlow
+        ? formatTime(isActive || status === 'completed' ? elapsed : 0)
+        : formatTime(isActive ? remaining : duration);
     const displayMinutes = Math.ceil((status === 'running' || status === 'paused' ? remaining : duration) / 60);
 
+    const announcement = getTimerAnnouncement({ status, remaining, elapsed, mode, phase });
+    const buttonLabels = {
+        idle: isFlow ? 'Start flow session' : 'Start timer',
+        running: 'Pause timer',
+        paused: 'Resume timer',
+        completed: 'Dismiss completed session',
+    };
+    const a11yProps = isSlider
+        ? {
+            role: 'slider',
+            'aria-label': 'Session length',
+            'aria-valuemin': minDuration,
+            'aria-valuemax': MAX_DIAL_LAPS * 60,
+            'aria-valuenow': Math.round(duration / 60),
+            'aria-valuetext': describeMinutes(Math.round(duration / 60)),
+            'aria-keyshortcuts': 'Enter Space',
+        }
+        : {
+            role: 'button',
+            'aria-label': buttonLabels[status] || 'Timer',
+            'aria-keyshortcuts': isActive ? 'Enter Space Escape' : 'Enter Space',
+        };
+
     return (
         <div
             className="relative flex items-center justify-center touch-none"
@@ -259,7 +423,9 @@ export function TimerCircle({
         >
             <motion.div
                 ref={circleRef}
-                className="relative clay cursor-pointer select-none"
+                tabIndex={0}
+                {...a11yProps}
+                className="relative clay cursor-pointer select-none outline-none focus-visible:ring-2 focus-visible:ring-ink focus-visible:ring-offset-4"
                 style={{
                     width: circleSize,
                     height: circleSize,
@@ -282,6 +448,7 @@ export function TimerCircle({
                 onMouseMove={isDragging ? handleTouchMove : undefined}
                 onMouseUp={handleTouchEnd}
                 onMouseLeave={isDragging ? handleTouchEnd : undefined}
+                onKeyDown={handleKeyDown}
             >
                 <RippleContainer ripples={ripples} />
 
@@ -299,17 +466,42 @@ export function TimerCircle({
                         stroke="#E0E0E0"
                         strokeWidth="3"
                     />
+                    {isFlow && isActive && flowLaps > 0 && (
+                        <circle
+                            cx={radius}
+                            cy={radius}
+                            r={radius - 8}
+                            fill="none"
+                            stroke="#C4C4C4"
+                            strokeWidth="4"
+                        />
+                    )}
                     <motion.path
-                        d={status === 'running' || status === 'paused' ? progressArc() : durationArc()}
+                        d={getArcPath()}
                         fill="none"
                         stroke="#1A1A1A"
                         strokeWidth="4"
                         strokeLinecap="round"
                     />
+                    {!isFlow && duration > 3600 && (
+                        <motion.path
+                            d={extraLapArc()}
+                            fill="none"
+                            stroke="#1A1A1A"
+                            strokeWidth="3"
+                            strokeLinecap="round"
+                            opacity={0.5}
+                        />
+                    )}
                 </svg>
 
                 {/* Center content */}
                 <div className="absolute inset-0 flex flex-col items-center justify-center pointer-events-none">
+                    {totalRounds && (
+                        <div className="text-[10px] text-stone-dark uppercase tracking-widest mb-2">
+                            {PHASE_LABELS[phase]} · {round}/{totalRounds}
+                        </div>
+                    )}
                     <motion.div
                         className="timer-font text-4xl font-light text-ink"
                         animate={{
@@ -321,17 +513,29 @@ export function TimerCircle({
                     </motion.div>
 
                     <motion.div className="text-xs text-ink-soft mt-2 uppercase tracking-widest">
-                        {status === 'idle' && 'tap to start'}
+                        {status === 'idle' && (isFlow ? 'tap to flow' : 'tap to start')}
                         {status === 'adjusting' && `${displayMinutes} min`}
                         {status === 'committing' && 'release to start'}
-                        {status === 'running' && 'focusing'}
+                        {status === 'running' && (isFlow ? 'in flow' : phase === 'focus' ? 'focusing' : 'resting')}
                         {status === 'paused' && 'paused · tap to resume'}
                         {status === 'completed' && 'complete!'}
                     </motion.div>
+
+                    {isFlow && isActive && flowLaps > 0 && (
+                        <div className="text-[10px] text-stone-dark mt-1">
+                            lap {flowLaps + 1}
+                        </div>
+                    )}
+
+                    {taskTitle && (
+                        <div className="text-xs text-ink-soft mt-2 px-8 max-w-full truncate">
+                            {taskTitle}
+                        </div>
+                    )}
                 </div>
 
                 {/* Edge indicator */}
-                {(status === 'idle' || status === 'adjusting') && (
+                {!isFlow && (status === 'idle' || status === 'adjusting') && (
                     <motion.div
                         className="absolute rounded-full border-2 border-dashed border-stone-dark pointer-events-none"
                         style={{
@@ -346,6 +550,11 @@ export function TimerCircle({
                     />
                 )}
             </motion.div>
+
+            {/* Spoken updates for screen readers */}
+            <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+                {announcement}
+            </div>
         </div>
     );
 }
@@ -1,47 +1,205 @@
-import { useEffect, useRef, useState, useCallback } from 'react';
+import { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import { AnimatePresence, motion } from 'framer-motion';
 import { TimerCircle } from './TimerCircle';
 import { DropZone } from './DropZone';
+import { TaskPicker } from './TaskPicker';
+import { HoldButton } from './HoldButton';
 import { SettingsOverlay } from '../Settings/SettingsOverlay';
-import { useTimerState } from '../../hooks/useTimerState';
-import { getStorageItem, setStorageItem, validateTimerSettings } from '../../utils/storage';
-import { notifyTimerComplete, requestNotificationPermission } from '../../utils/notifications';
+import { useTimerState, UNDO_CANCEL_MS } from '../../hooks/useTimerState';
+import { useSoundscape } from '../../hooks/useSoundscape';
+import { useTimerBells } from '../../hooks/useTimerBells';
+import { useTabIndicator } from '../../hooks/useTabIndicator';
+import { useStoredState } from '../../hooks/useStoredState';
+import { playChime } from '../../utils/chimes';
+import { INTERRUPTION_REASONS } from '../../utils/interruptions';
+import { FOCUS_RATINGS, MAX_INTENTION_LENGTH, MAX_NOTE_LENGTH, cleanPromptText } from '../../utils/reflections';
+import { validateTimerSettings } from '../../utils/storage';
+import { enterFullscreen, exitFullscreen } from '../../utils/fullscreen';
+import { getDailyGoalProgress, formatGoalAmount } from '../../utils/goals';
+import { migrateStats } from '../../utils/dailyStats';
+import { ProgressRing } from '../Stats/ProgressRing';
+import { Lock } from 'lucide-react';
+import { notifyTimerComplete, notifyBreakComplete, requestNotificationPermission } from '../../utils/notifications';
 
 /**
  * Quick preset durations in minutes
  */
 const PRESETS = [5, 15, 25, 45, 60];
 
+/**
+ * Delay before auto-advancing to the next Pomodoro phase (ms)
+ */
+const AUTO_ADVANCE_DELAY = 3000;
+
+/**
+ * Minutes a running countdown can be extended by, up to the dial's 120 minute cap
+ */
+const EXTEND_OPTIONS = [1, 5, 10];
+const MAX_EXTENDED_SECONDS = 120 * 60;
+
+/**
+ * Stored todos, for the task picker
+ */
+function readTasks(stored) {
+    return Array.isArray(stored) ? stored : [];
+}
+
 /**
  * ZenTimer - Main orchestrator component
  * Fully responsive with proper spacing
  */
-export function ZenTimer({ onSessionComplete, onSessionStart }) {
-    // Load settings from storage
-    const [settings, setSettings] = useState(() => {
-        const stored = getStorageItem('settings', null);
-        return validateTimerSettings(stored);
-    });
+export function ZenTimer({
+    onSessionComplete,
+    onSessionStart,
+    onSessionReflect,
+    onSessionAbandon,
+    onSessionRestore,
+    onLockChange,
+    focusTaskId = null,
+    onFocusTaskChange,
+    taskPrompt = null,
+    onTaskPromptAnswer,
+}) {
+    // Settings follow the overlay (and other tabs) as they change
+    const [settings] = useStoredState('settings', validateTimerSettings);
+
+    // Side effects the timer machine asks for on starting and finishing sessions
+    const handleTimerEffect = useCallback((effect, { isLeader }) => {
+        if (effect.type === 'sessionStarted') {
+            // Breaks aren't focus sessions
+            if (effect.phase !== 'focus') return;
+            if (onSessionStart) {
+                // Flow sessions have no planned length
+                onSessionStart(effect.mode === 'flow' ? 0 : effect.duration, {
+                    taskId: effect.taskId,
+                    mode: effect.mode,
+                    intention: effect.intention,
+                    sessionId: effect.sessionId,
+                });
+            }
+            if (settings.soundEnabled) {
+                playChime(settings.startChime, settings.chimeVolume);
+            }
+            return;
+        }
+
+        // Cancels and undos only happen in the tab they were made in
+        if (effect.type === 'sessionCancelled') {
+            if (effect.phase === 'focus' && onSessionAbandon) {
+                onSessionAbandon(effect.focused, {
+                    planned: effect.mode === 'flow' ? 0 : effect.duration,
+                    taskId: effect.taskId,
+                    mode: effect.mode,
+                    interruptions: effect.interruptions,
+                    sessionId: effect.sessionId,
+                    intention: effect.intention,
+                    paused: effect.paused,
+                    reason: effect.reason === 'STOP' ? 'stop' : 'cancel',
+                });
+            }
+            return;
+        }
+        if (effect.type === 'sessionRestored') {
+            if (effect.phase === 'focus' && onSessionRestore) onSessionRestore(effect.sessionId);
+            return;
+        }
+
+        if (effect.type !== 'sessionCompleted') return;
+        // Every open tab reaches the end on its own clock, so only the leader reports
+        // that; Finish Now is made in a single tab and the others just get its state
+        if (effect.reason === 'TICK' && !isLeader()) return;
+
+        if (onSessionComplete) {
+            onSessionComplete(effect.duration, {
+                phase: effect.phase,
+                taskId: effect.taskId,
+                mode: effect.mode,
+                interruptions: effect.interruptions,
+                sessionId: effect.sessionId,
+                startedAt: effect.startTime,
+                intention: effect.intention,
+                leaves: effect.leaves,
+                broken: effect.broken,
+            });
+        }
+
+        if (effect.phase === 'focus') {
+            notifyTimerComplete(Math.round(effect.duration / 60));
+        } else {
+            notifyBreakComplete(effect.phase === 'longBreak');
+        }
+
+        if (settings.soundEnabled) {
+            playChime(settings.completionChime, settings.chimeVolume);
+        }
+    }, [settings.soundEnabled, settings.startChime, settings.completionChime, settings.chimeVolume, onSessionStart, onSessionComplete, onSessionAbandon, onSessionRestore]);
 
     // Timer state machine
-    const { state, actions } = useTimerState(settings.defaultDuration);
+    const { state, actions, isLeader } = useTimerState(settings.defaultDuration, { onEffect: handleTimerEffect });
+    const [showSettings, setShowSettings] = useState(false);
+
+    // Ambient background sound for focus sessions
+    useSoundscape({
+        status: state.status,
+        phase: state.phase,
+        soundscape: settings.soundscape,
+        volume: settings.soundscapeVolumes[settings.soundscape] ?? 0,
+        enabled: settings.soundEnabled,
+        isLeader,
+    });
+
+    // Interval bells
+    useTimerBells(state, settings, isLeader);
+
+    // Countdown title and progress favicon for background tabs
+    useTabIndicator(state, settings.tabIndicator);
+
+    // Pomodoro cycle config, null when running single or flow sessions
+    const isFlow = state.mode === 'flow';
+    const cycle = useMemo(() => (settings.pomodoroEnabled && !isFlow ? {
+        rounds: settings.roundsBeforeLongBreak,
+        shortBreak: settings.shortBreakDuration,
+        longBreak: settings.longBreakDuration,
+    } : null), [
+        isFlow,
+        settings.pomodoroEnabled,
+        settings.roundsBeforeLongBreak,
+        settings.shortBreakDuration,
+        settings.longBreakDuration,
+    ]);
+
+    // Todos available to attach a session to
+    const [tasks] = useStoredState('todos', readTasks);
+    const [focusStats] = useStoredState('focus_stats');
 
     // Drop zone visibility
     const [showDropZone, setShowDropZone] = useState(false);
     const [dropZoneHovered, setDropZoneHovered] = useState(false);
 
+    // "What will you work on?" draft, null while the prompt is closed
+    const [intentionDraft, setIntentionDraft] = useState(null);
+
+    // Post-session reflection
+    const [reflectedSessionId, setReflectedSessionId] = useState(null);
+    const [reflectionRating, setReflectionRating] = useState(null);
+    const [reflectionNote, setReflectionNote] = useState('');
+
+    // Strict mode confirmation and the undo toast for the last cancel
+    const [confirmingCancel, setConfirmingCancel] = useState(false);
+    const [dismissedCancelAt, setDismissedCancelAt] = useState(null);
+
     // Timer interval ref
     const timerIntervalRef = useRef(null);
 
     // Handle duration change from radial drag
     const handleDurationChange = useCallback((minutes) => {
-        actions.setDuration(minutes);
-    }, [actions]);
+        actions.setDuration(minutes, settings.minDuration);
+    }, [actions, settings.minDuration]);
 
     // Handle preset selection
     const handlePresetSelect = useCallback((minutes) => {
-        actions.setDuration(minutes);
-    }, [actions]);
+        actions.setDuration(minutes, settings.minDuration);
+    }, [actions, settings.minDuration]);
 
     // Handle drag start
     const handleDragStart = useCallback(() => {
@@ -49,18 +207,48 @@ export function ZenTimer({ onSessionComplete, onSessionStart }) {
         setShowDropZone(true);
     }, [actions]);
 
+    // Start a session; the machine's sessionStarted effect records it
+    const startSession = useCallback((intention = null) => {
+        const isFocus = state.phase === 'focus';
+        const session = {
+            taskId: focusTaskId,
+            intention: isFocus ? intention : null,
+            sessionId: Date.now().toString(36),
+            lock: isFocus && settings.lockMode ? { maxLeaves: settings.lockMaxLeaves } : null,
+        };
+        // Still inside the tap/click, which fullscreen requires
+        if (session.lock) enterFullscreen();
+        actions.commit(session);
+        setIntentionDraft(null);
+        setConfirmingCancel(false);
+        setReflectionRating(null);
+        setReflectionNote('');
+    }, [state.phase, focusTaskId, settings.lockMode, settings.lockMaxLeaves, actions]);
+
+    // Ask for an intention first when enabled, otherwise start straight away
+    const requestStart = useCallback(() => {
+        if (settings.intentionPrompt && state.phase === 'focus') {
+            setIntentionDraft('');
+        } else {
+            startSession();
+        }
+    }, [settings.intentionPrompt, state.phase, startSession]);
+
+    const submitIntention = useCallback(() => {
+        startSession(cleanPromptText(intentionDraft, MAX_INTENTION_LENGTH));
+    }, [intentionDraft, startSession]);
+
     // Handle drag end
     const handleDragEnd = useCallback((inDropZone) => {
-        if (inDropZone) {
-            actions.commit();
-            setShowDropZone(false);
-            setDropZoneHovered(false);
+        if (inDropZone && !settings.intentionPrompt) {
+            startSession();
         } else {
             actions.endAdjust();
-            setShowDropZone(false);
-            setDropZoneHovered(false);
+            if (inDropZone) requestStart();
         }
-    }, [actions]);
+        setShowDropZone(false);
+        setDropZoneHovered(false);
+    }, [actions, settings.intentionPrompt, startSession, requestStart]);
 
     // Handle enter/exit drop zone
     const handleEnterDropZone = useCallback(() => {
@@ -73,39 +261,81 @@ export function ZenTimer({ onSessionComplete, onSessionStart }) {
         setDropZoneHovered(false);
     }, [actions]);
 
-    // Handle flick cancel
+    // Lock mode holds until the session ends or is cancelled by a long press
+    const isLocked = Boolean(state.lock) && ['running', 'paused'].includes(state.status);
+
+    // Handle flick cancel and Reset Timer, confirming first in strict mode
     const handleFlickCancel = useCallback(() => {
+        if (isLocked) return;
+        if (settings.strictMode && ['running', 'paused'].includes(state.status)) {
+            setConfirmingCancel(true);
+        } else {
+            actions.cancel();
+        }
+    }, [isLocked, settings.strictMode, state.status, actions]);
+
+    const confirmCancel = useCallback(() => {
+        setConfirmingCancel(false);
         actions.cancel();
     }, [actions]);
 
+    const handleUndoCancel = useCallback(() => {
+        setDismissedCancelAt(state.cancelledAt);
+        if (state.cancelled?.lock) enterFullscreen();
+        actions.undoCancel();
+    }, [state.cancelledAt, state.cancelled, actions]);
+
     // Handle long press for settings
     const handleLongPress = useCallback(() => {
         if (state.status === 'idle') {
-            actions.openSettings();
+            setShowSettings(true);
         }
-    }, [state.status, actions]);
+    }, [state.status]);
 
     // Handle tap for pause/resume/start
     const handleTap = useCallback(() => {
         if (state.status === 'idle') {
-            // Quick tap to start in idle mode
-            if (onSessionStart) {
-                onSessionStart(state.duration);
+            // Tapping again while the prompt is open starts with what's typed so far
+            if (intentionDraft !== null) {
+                submitIntention();
+            } else {
+                requestStart();
             }
-            actions.commit();
         } else if (state.status === 'running') {
             actions.pause();
         } else if (state.status === 'paused') {
             actions.resume();
         } else if (state.status === 'completed') {
-            actions.acknowledgeComplete();
+            actions.acknowledgeComplete(cycle);
         }
-    }, [state.status, state.duration, actions, onSessionStart]);
+    }, [state.status, intentionDraft, cycle, actions, submitIntention, requestStart]);
 
-    // Handle settings change
-    const handleSettingsChange = useCallback((newSettings) => {
-        setSettings(newSettings);
-    }, []);
+    // Skip the current break and go straight to the next focus round
+    const handleSkipBreak = useCallback(() => {
+        if (cycle) {
+            actions.advancePhase(cycle);
+        } else {
+            // Pomodoro was switched off mid-cycle
+            actions.reset();
+        }
+    }, [actions, cycle]);
+
+    // Reflection is offered once per completed focus session
+    const reflectionPending = settings.reflectionPrompt &&
+        state.status === 'completed' &&
+        state.phase === 'focus' &&
+        Boolean(state.sessionId) &&
+        reflectedSessionId !== state.sessionId;
+
+    const finishReflection = useCallback((save) => {
+        const note = cleanPromptText(reflectionNote, MAX_NOTE_LENGTH);
+        if (save && onSessionReflect && (reflectionRating || note)) {
+            onSessionReflect(state.sessionId, { rating: reflectionRating, note });
+        }
+        setReflectedSessionId(state.sessionId);
+        setReflectionRating(null);
+        setReflectionNote('');
+    }, [state.sessionId, reflectionRating, reflectionNote, onSessionReflect]);
 
     // Timer tick effect
     useEffect(() => {
@@ -127,42 +357,48 @@ export function ZenTimer({ onSessionComplete, onSessionStart }) {
         };
     }, [state.status, actions]);
 
-    // Completion effect (sound/notification)
+    // Auto-advance to the next Pomodoro phase after a short pause
     useEffect(() => {
-        if (state.status === 'completed') {
-            // Record session
-            if (onSessionComplete) {
-                onSessionComplete(state.duration);
-            }
-
-            // Show notification
-            const durationMinutes = Math.round(state.duration / 60);
-            notifyTimerComplete(durationMinutes);
+        if (state.status !== 'completed' || !cycle || !settings.autoAdvance) return;
+        // Give the user time to reflect before moving on
+        if (reflectionPending) return;
+
+        const timeoutId = setTimeout(() => {
+            // Followers pick up the next phase from the leader's broadcast
+            if (!isLeader()) return;
+
+            // Fullscreen needs a tap, but the lock itself carries over
+            actions.advancePhase(cycle, true, {
+                taskId: focusTaskId,
+                sessionId: Date.now().toString(36),
+                lock: settings.lockMode ? { maxLeaves: settings.lockMaxLeaves } : null,
+            });
+        }, AUTO_ADVANCE_DELAY);
+
+        return () => clearTimeout(timeoutId);
+    }, [state.status, cycle, settings.autoAdvance, settings.lockMode, settings.lockMaxLeaves, reflectionPending, focusTaskId, isLeader, actions]);
+
+    // Hide the undo toast once the undo window has passed
+    const showUndo = state.status === 'idle' &&
+        Boolean(state.cancelledAt) &&
+        dismissedCancelAt !== state.cancelledAt;
 
-            if (settings.soundEnabled) {
-                // Play a subtle completion tone using Web Audio API
-                try {
-                    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                    const oscillator = audioContext.createOscillator();
-                    const gainNode = audioContext.createGain();
-
-                    oscillator.connect(gainNode);
-                    gainNode.connect(audioContext.destination);
-
-                    oscillator.frequency.value = 440; // A4 note
-                    oscillator.type = 'sine';
-
-                    gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 1);
-
-                    oscillator.start(audioContext.currentTime);
-                    oscillator.stop(audioContext.currentTime + 1);
-                } catch (e) {
-                    // Audio not supported, fail silently
-                }
-            }
-        }
-    }, [state.status, state.duration, settings.soundEnabled, onSessionComplete]);
+    useEffect(() => {
+        if (!showUndo) return;
+        const cancelledAt = state.cancelledAt;
+        const timeoutId = setTimeout(() => {
+            setDismissedCancelAt(cancelledAt);
+        }, Math.max(0, UNDO_CANCEL_MS - (Date.now() - cancelledAt)));
+        return () => clearTimeout(timeoutId);
+    }, [showUndo, state.cancelledAt]);
+
+    // Let the app hide navigation while locked, and drop fullscreen when the lock ends
+    const wasLockedRef = useRef(false);
+    useEffect(() => {
+        onLockChange?.(isLocked);
+        if (wasLockedRef.current && !isLocked) exitFullscreen();
+        wasLockedRef.current = isLocked;
+    }, [isLocked, onLockChange]);
 
     // Request notification permission when timer starts
     useEffect(() => {
@@ -171,8 +407,86 @@ export function ZenTimer({ onSessionComplete, onSessionStart }) {
         }
     }, [state.status]);
 
-    const currentMinutes = Math.round(state.duration / 60);
-    const showPresets = state.status === 'idle';
+    // Raise an idle focus length that is now below the minimum setting
+    useEffect(() => {
+        if (state.status !== 'idle' || state.phase !== 'focus') return;
+        if (state.duration < settings.minDuration * 60) {
+            actions.setDuration(settings.minDuration, settings.minDuration);
+        }
+    }, [state.status, state.phase, state.duration, settings.minDuration, actions]);
+
+    const currentMinutes =Math.round(state.duration / 60);
+    const showModeToggle = state.status === 'idle' && state.phase === 'focus';
+    const showPresets = showModeToggle && !isFlow;
+    const isBreak = state.phase !== 'focus';
+
+    // A live session shows the task it was started with, idle shows the pick
+    const isSessionActive = ['running', 'paused', 'completed'].includes(state.status);
+    const activeTaskId = isSessionActive ? state.taskId : (isBreak ? null : focusTaskId);
+    const activeTask = tasks.find((task) => task.id === activeTaskId) || null;
+    const openTasks = tasks.filter((task) => !task.completed);
+
+    // Today's goal, shown while idle
+    const goalProgress = useMemo(
+        () => (state.status === 'idle' && settings.dailyGoal
+            ? getDailyGoalProgress(migrateStats(focusStats)?.daily, settings)
+            : null),
+        [state.status, settings, focusStats],
+    );
+
+    // Shared by the running and paused blocks
+    const sessionControls = (
+        <>
+            {!isFlow && (
+                <div className="flex justify-center gap-2 mt-3">
+                    {EXTEND_OPTIONS.map((mins) => (
+                        <button
+                            key={mins}
+                            onClick={() => actions.extend(mins)}
+                            disabled={state.duration >= MAX_EXTENDED_SECONDS}
+                            aria-label={`Add ${mins} minute${mins === 1 ? '' : 's'}`}
+                            className="px-3 py-1 rounded-xl text-xs bg-stone text-stone-dark hover:text-ink transition-colors disabled:opacity-40"
+                        >
+                            +{mins}m
+                        </button>
+                    ))}
+                </div>
+            )}
+            <div className="flex justify-center gap-2">
+                {(isFlow || !isLocked) && (
+                    <button
+                        onClick={() => actions.stop()}
+                        className="mt-3 px-4 py-2 text-xs bg-ink text-paper rounded-lg"
+                    >
+                        {isFlow ? 'Finish Session' : 'Finish Now'}
+                    </button>
+                )}
+                {isLocked ? (
+                    <HoldButton
+                        onHold={actions.cancel}
+                        className="mt-3 px-4 py-2 text-xs text-stone-dark bg-stone rounded-lg"
+                    >
+                        Hold to Cancel
+                    </HoldButton>
+                ) : (
+                    <button
+                        onClick={handleFlickCancel}
+                        className="mt-3 px-4 py-2 text-xs text-stone-dark bg-stone rounded-lg hover:bg-stone-dark hover:text-ink transition-colors"
+                    >
+                        Reset Timer
+                    </button>
+                )}
+            </div>
+            {isLocked && (
+                <p className={`mt-3 flex items-center justify-center gap-1 text-[10px] ${state.broken ? 'text-ink' : 'text-stone-dark'}`}>
+                    <Lock size={10} />
+                    {state.broken
+                        ? `Lock broken · left ${state.leaves} times`
+                        : `Locked · ${state.leaves}/${state.lock.maxLeaves} leaves`}
+                </p>
+            )}
+        </>
+    );
 
     return (
         <div className="relative w-full max-w-md mx-auto flex flex-col items-center py-8">
@@ -188,6 +502,24 @@ export function ZenTimer({ onSessionComplete, onSessionStart }) {
             {/* Drop Zone */}
             <DropZone isActive={showDropZone} isHovered={dropZoneHovered} />
 
+            {/* Countdown / flow switch */}
+            {showModeToggle && (
+                <div className="flex gap-1 p-1 mb-4 rounded-2xl bg-stone relative z-10">
+                    {[['countdown', 'Timer'], ['flow', 'Flow']].map(([mode, label]) => (
+                        <button
+                            key={mode}
+                            onClick={() => actions.setMode(mode)}
+                            className={`px-4 py-1.5 rounded-xl text-xs font-medium transition-all ${state.mode === mode
+                                ? 'bg-paper text-ink shadow-clay-soft'
+                                : 'text-stone-dark'
+                                }`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            )}
+
             {/* Preset buttons - shown in idle mode */}
             <AnimatePresence>
                 {showPresets && (
@@ -198,7 +530,7 @@ export function ZenTimer({ onSessionComplete, onSessionStart }) {
                         exit={{ opacity: 0, y: -20 }}
                         transition={{ type: 'spring', stiffness: 300, damping: 25 }}
                     >
-                        {PRESETS.map((mins) => (
+                        {PRESETS.filter(mins => mins >= settings.minDuration).map((mins) => (
                             <motion.button
                                 key={mins}
                                 onClick={() => handlePresetSelect(mins)}
@@ -222,6 +554,14 @@ export function ZenTimer({ onSessionComplete, onSessionStart }) {
                     duration={state.duration}
                     remaining={state.remaining}
                     status={state.status}
+                    mode={state.mode}
+                    elapsed={state.elapsed}
+                    phase={state.phase}
+                    round={state.round}
+                    totalRounds={cycle?.rounds ?? null}
+                    taskTitle={activeTask?.text ?? null}
+                    snapIncrement={settings.dialIncrement}
+                    minDuration={settings.minDuration}
                     onDurationChange={handleDurationChange}
                     onDragStart={handleDragStart}
                     onDragEnd={handleDragEnd}
@@ -230,12 +570,61 @@ export function ZenTimer({ onSessionComplete, onSessionStart }) {
                     onFlickCancel={handleFlickCancel}
                     onLongPress={handleLongPress}
                     onTap={handleTap}
+                    onCancel={handleFlickCancel}
                 />
             </div>
 
+            {/* Intention for the live session */}
+            {isSessionActive && state.intention && (
+                <p className="mt-6 max-w-[80vw] text-xs text-stone-dark text-center italic truncate relative z-10">
+                    &ldquo;{state.intention}&rdquo;
+                </p>
+            )}
+
             {/* Status indicator */}
             <AnimatePresence>
-                {state.status === 'idle' && (
+                {state.status === 'idle' && !isBreak && intentionDraft !== null && (
+                    <motion.div
+                        key="intention-prompt"
+                        className="mt-8 w-72 max-w-[90vw] bg-paper rounded-2xl p-4 shadow-clay-soft relative z-10"
+                        initial={{ opacity: 0, y: 10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: 10 }}
+                    >
+                        <label htmlFor="session-intention" className="text-xs text-stone-dark block mb-2">
+                            What will you work on?
+                        </label>
+                        <input
+                            id="session-intention"
+                            type="text"
+                            autoFocus
+                            value={intentionDraft}
+                            maxLength={MAX_INTENTION_LENGTH}
+                            onChange={(e) => setIntentionDraft(e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') submitIntention();
+                                if (e.key === 'Escape') setIntentionDraft(null);
+                            }}
+                            placeholder="e.g. Draft the intro section"
+                            className="w-full px-3 py-2 text-sm bg-stone rounded-lg text-ink placeholder:text-stone-dark outline-none"
+                        />
+                        <div className="flex justify-end gap-2 mt-3">
+                            <button
+                                onClick={() => startSession()}
+                                className="px-4 py-2 text-xs text-stone-dark bg-stone rounded-lg hover:bg-stone-dark hover:text-ink transition-colors"
+                            >
+                                Skip
+                            </button>
+                            <button
+                                onClick={submitIntention}
+                                className="px-4 py-2 text-xs bg-ink text-paper rounded-lg"
+                            >
+                                Start
+                            </button>
+                        </div>
+                    </motion.div>
+                )}
+                {state.status === 'idle' && !isBreak && intentionDraft === null && (
                     <motion.div
                         className="mt-8 text-sm text-ink-soft text-center"
                         initial={{ opacity: 0, y: 10 }}
@@ -243,25 +632,65 @@ export function ZenTimer({ onSessionComplete, onSessionStart }) {
                         exit={{ opacity: 0, y: 10 }}
                     >
                         <p>tap circle to start</p>
-                        <p className="text-xs mt-1 text-stone-dark">or drag edge for custom time</p>
+                        <p className="text-xs mt-1 text-stone-dark">
+                            {isFlow ? 'counts up until you finish' : 'or drag edge for custom time'}
+                        </p>
+                        {settings.lockMode && (
+                            <p className="text-xs mt-1 text-stone-dark flex items-center justify-center gap-1">
+                                <Lock size={10} /> lock mode on
+                            </p>
+                        )}
+                        {goalProgress && (
+                            <div className="text-xs mt-2 text-stone-dark flex items-center justify-center gap-1.5">
+                                <ProgressRing ratio={goalProgress.ratio} size={14} strokeWidth={2.5} />
+                                {goalProgress.met
+                                    ? 'daily goal met'
+                                    : `${formatGoalAmount(goalProgress.value, goalProgress.unit)} of ${formatGoalAmount(goalProgress.target, goalProgress.unit)} today`}
+                            </div>
+                        )}
                     </motion.div>
                 )}
-                {state.status === 'running' && (
+                {state.status === 'idle' && !isBreak && intentionDraft === null && onFocusTaskChange && (
+                    <motion.div
+                        key="task-picker"
+                        initial={{ opacity: 0, y: 10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: 10 }}
+                    >
+                        <TaskPicker
+                            tasks={openTasks}
+                            selectedTask={activeTask}
+                            onSelect={onFocusTaskChange}
+                        />
+                    </motion.div>
+                )}
+                {state.status === 'idle' && isBreak && (
                     <motion.div
                         className="mt-8 text-center"
                         initial={{ opacity: 0, y: 10 }}
                         animate={{ opacity: 1, y: 0 }}
                         exit={{ opacity: 0, y: 10 }}
                     >
-                        <p className="text-sm text-ink-soft opacity-60">tap to pause</p>
+                        <p className="text-sm text-ink-soft opacity-60">tap circle to start your break</p>
                         <button
-                            onClick={() => actions.cancel()}
+                            onClick={handleSkipBreak}
                             className="mt-3 px-4 py-2 text-xs text-stone-dark bg-stone rounded-lg hover:bg-stone-dark hover:text-ink transition-colors"
                         >
-                            Reset Timer
+                            Skip Break
                         </button>
                     </motion.div>
                 )}
+                {state.status === 'running' && (
+                    <motion.div
+                        className="mt-8 text-center"
+                        initial={{ opacity: 0, y: 10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: 10 }}
+                    >
+                        <p className="text-sm text-ink-soft opacity-60">tap to pause</p>
+                        {sessionControls}
+                    </motion.div>
+                )}
                 {state.status === 'paused' && (
                     <motion.div
                         className="mt-8 text-center"
@@ -270,22 +699,171 @@ export function ZenTimer({ onSessionComplete, onSessionStart }) {
                         exit={{ opacity: 0, y: 10 }}
                     >
                         <p className="text-sm text-ink-soft opacity-60">tap to resume</p>
-                        <button
-                            onClick={() => actions.cancel()}
-                            className="mt-3 px-4 py-2 text-xs text-stone-dark bg-stone rounded-lg hover:bg-stone-dark hover:text-ink transition-colors"
+                        {state.phase === 'focus' && (
+                            <div className="flex flex-wrap justify-center gap-2 mt-3">
+                                {INTERRUPTION_REASONS.map(({ id, label }) => (
+                                    <button
+                                        key={id}
+                                        onClick={() => actions.setPauseReason(state.pauseReason === id ? null : id)}
+                                        className={`px-3 py-1 rounded-xl text-xs transition-colors ${state.pauseReason === id
+                                            ? 'bg-ink text-paper'
+                                            : 'bg-stone text-stone-dark hover:text-ink'
+                                            }`}
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                        {sessionControls}
+                    </motion.div>
+                )}
+            </AnimatePresence>
+
+            {/* Strict mode: confirm before throwing a session away */}
+            <AnimatePresence>
+                {confirmingCancel && ['running', 'paused'].includes(state.status) && (
+                    <motion.div
+                        className="mt-6 w-72 max-w-[90vw] bg-paper rounded-2xl p-4 shadow-clay-soft text-center relative z-10"
+                        role="alertdialog"
+                        aria-label="Cancel this session?"
+                        initial={{ opacity: 0, y: 10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: 10 }}
+                    >
+                        <p className="text-sm text-ink">Cancel this session?</p>
+                        <p className="text-xs text-stone-dark mt-1">
+                            It will be logged as abandoned{settings.countPartialTime ? ' and its time counted as partial focus' : ''}.
+                        </p>
+                        <div className="flex justify-center gap-2 mt-3">
+                            <button
+                                onClick={() => setConfirmingCancel(false)}
+                                className="px-4 py-2 text-xs bg-ink text-paper rounded-lg"
+                            >
+                                Keep going
+                            </button>
+                            <button
+                                onClick={confirmCancel}
+                                className="px-4 py-2 text-xs text-stone-dark bg-stone rounded-lg hover:bg-stone-dark hover:text-ink transition-colors"
+                            >
+                                Cancel session
+                            </button>
+                        </div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+
+            {/* Undo the last cancel */}
+            <div className="fixed inset-x-0 bottom-20 z-40 flex justify-center pointer-events-none">
+                <AnimatePresence>
+                    {showUndo && (
+                        <motion.div
+                            className="flex items-center gap-4 pl-4 pr-2 py-2 rounded-2xl bg-ink text-paper shadow-lg pointer-events-auto"
+                            role="status"
+                            initial={{ opacity: 0, y: 20 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            exit={{ opacity: 0, y: 20 }}
                         >
-                            Reset Timer
-                        </button>
+                            <span className="text-xs">Session cancelled</span>
+                            <button
+                                onClick={handleUndoCancel}
+                                className="px-3 py-1.5 text-xs font-medium rounded-lg bg-paper text-ink"
+                            >
+                                Undo
+                            </button>
+                        </motion.div>
+                    )}
+                </AnimatePresence>
+            </div>
+
+            {/* Post-session reflection */}
+            <AnimatePresence>
+                {reflectionPending && (
+                    <motion.div
+                        className="mt-6 w-72 max-w-[90vw] bg-paper rounded-2xl p-4 shadow-clay-soft text-center relative z-10"
+                        initial={{ opacity: 0, y: 10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: 10 }}
+                    >
+                        <p className="text-xs text-stone-dark">How focused were you?</p>
+                        <div className="flex justify-center gap-1.5 mt-2" role="radiogroup" aria-label="Focus rating">
+                            {FOCUS_RATINGS.map(({ value, label }) => (
+                                <button
+                                    key={value}
+                                    role="radio"
+                                    aria-checked={reflectionRating === value}
+                                    aria-label={`${value} - ${label}`}
+                                    title={label}
+                                    onClick={() => setReflectionRating(reflectionRating === value ? null : value)}
+                                    className={`w-8 h-8 rounded-lg text-xs font-medium transition-colors ${reflectionRating === value
+                                        ? 'bg-ink text-paper'
+                                        : 'bg-stone text-stone-dark hover:text-ink'
+                                        }`}
+                                >
+                                    {value}
+                                </button>
+                            ))}
+                        </div>
+                        <textarea
+                            value={reflectionNote}
+                            maxLength={MAX_NOTE_LENGTH}
+                            onChange={(e) => setReflectionNote(e.target.value)}
+                            placeholder="A quick note (optional)"
+                            aria-label="Reflection note"
+                            rows={2}
+                            className="w-full mt-3 px-3 py-2 text-sm bg-stone rounded-lg text-ink placeholder:text-stone-dark outline-none resize-none"
+                        />
+                        <div className="flex justify-center gap-2 mt-3">
+                            <button
+                                onClick={() => finishReflection(false)}
+                                className="px-4 py-2 text-xs text-stone-dark bg-stone rounded-lg hover:bg-stone-dark hover:text-ink transition-colors"
+                            >
+                                Skip
+                            </button>
+                            <button
+                                onClick={() => finishReflection(true)}
+                                className="px-4 py-2 text-xs bg-ink text-paper rounded-lg"
+                            >
+                                Save
+                            </button>
+                        </div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+
+            {/* Mark linked task done? */}
+            <AnimatePresence>
+                {taskPrompt && (
+                    <motion.div
+                        className="mt-6 w-72 max-w-[90vw] bg-paper rounded-2xl p-4 shadow-clay-soft text-center relative z-10"
+                        initial={{ opacity: 0, y: 10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: 10 }}
+                    >
+                        <p className="text-xs text-stone-dark">Session complete. Mark done?</p>
+                        <p className="text-sm text-ink mt-1 truncate">{taskPrompt.text}</p>
+                        <div className="flex justify-center gap-2 mt-3">
+                            <button
+                                onClick={() => onTaskPromptAnswer?.(false)}
+                                className="px-4 py-2 text-xs text-stone-dark bg-stone rounded-lg hover:bg-stone-dark hover:text-ink transition-colors"
+                            >
+                                Not yet
+                            </button>
+                            <button
+                                onClick={() => onTaskPromptAnswer?.(true)}
+                                className="px-4 py-2 text-xs bg-ink text-paper rounded-lg"
+                            >
+                                Mark done
+                            </button>
+                        </div>
                     </motion.div>
                 )}
             </AnimatePresence>
 
             {/* Settings Overlay */}
             <SettingsOverlay
-                isOpen={state.status === 'settings'}
-                onClose={actions.closeSettings}
-                settings={settings}
-                onSettingsChange={handleSettingsChange}
+                isOpen={showSettings}
+                onClose={() => setShowSettings(false)}
             />
         </div>
     );
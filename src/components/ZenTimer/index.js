@@ -1,3 +1,5 @@
 export { ZenTimer } from './ZenTimer';
 export { TimerCircle } from './TimerCircle';
 export { DropZone } from './DropZone';
+export { TaskPicker } from './TaskPicker';
+export { HoldButton } from './HoldButton';
@@ -1,5 +1,5 @@
-import { createContext, useContext, useEffect, useState } from 'react';
-import { getStorageItem, setStorageItem } from '../utils/storage';
+import { createContext, useContext, useEffect } from 'react';
+import { useStoredState } from '../hooks/useStoredState';
 
 const ThemeContext = createContext({
     theme: 'light',
@@ -11,16 +11,17 @@ export function useTheme() {
     return useContext(ThemeContext);
 }
 
+// Saved theme, or the system preference until one is picked
+function readTheme(stored) {
+    if (stored) return stored;
+    if (typeof window !== 'undefined' && window.matchMedia('(prefers-color-scheme: dark)').matches) {
+        return 'dark';
+    }
+    return 'light';
+}
+
 export function ThemeProvider({ children }) {
-    const [theme, setTheme] = useState(() => {
-        const stored = getStorageItem('theme', null);
-        if (stored) return stored;
-        // Check system preference
-        if (typeof window !== 'undefined' && window.matchMedia('(prefers-color-scheme: dark)').matches) {
-            return 'dark';
-        }
-        return 'light';
-    });
+    const [theme, setTheme] = useStoredState('theme', readTheme);
 
     useEffect(() => {
         const root = document.documentElement;
@@ -29,7 +30,6 @@ export function ThemeProvider({ children }) {
         } else {
             root.classList.remove('dark');
         }
-        setStorageItem('theme', theme);
     }, [theme]);
 
     const toggleTheme = () => {
@@ -0,0 +1,22 @@
+import { useState, useEffect, useCallback } from 'react';
+import { watchAchievements } from '../utils/achievements';
+import { notifyAchievementUnlocked } from '../utils/notifications';
+
+/**
+ * Award achievements as stats change and celebrate new ones
+ * Mount once, near the root, so awards happen whichever view is showing
+ * @returns {object} { celebration, dismissCelebration } where celebration lists the
+ * achievements just unlocked, or is null
+ */
+export function useAchievements() {
+    const [celebration, setCelebration] = useState(null);
+
+    useEffect(() => watchAchievements((earned) => {
+        notifyAchievementUnlocked(earned);
+        setCelebration(earned);
+    }), []);
+
+    const dismissCelebration = useCallback(() => setCelebration(null), []);
+
+    return { celebration, dismissCelebration };
+}
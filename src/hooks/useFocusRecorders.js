@@ -0,0 +1,272 @@
+import { useCallback, useEffect } from 'react';
+import { validateTimerSettings } from '../utils/storage';
+import { getStoreValue } from '../utils/appStore';
+import { notifyGoalReached } from '../utils/notifications';
+import { getLocalDateKey } from '../utils/localDate';
+import { addToDay, addTaskToDay } from '../utils/dailyStats';
+import { createRecordId, addSessionRecord, updateSessionRecords, removeSessionRecords } from '../utils/sessionHistory';
+import { getDailyGoalProgress, getWeeklyGoalProgress, formatGoalAmount } from '../utils/goals';
+import { extendStreak } from '../utils/streaks';
+import { getSessionTimeOfDay } from '../utils/achievements';
+import { cleanPromptText, MAX_NOTE_LENGTH } from '../utils/reflections';
+import { STATS_KEY, getDefaultStats, readStats, saveStats, toStatsView, migrateStoredHistory, getSavedStreak } from '../utils/focusStats';
+import { useStoredState } from './useStoredState';
+
+/**
+ * Hook to record when timer starts
+ * @param {number} durationSeconds - Planned session length
+ * @param {object} details - { taskId, mode, sessionId, intention } for the linked todo, countdown | flow,
+ * the id shared with the completion entry and the "what will you work on?" answer
+ */
+export function useRecordStart() {
+    return useCallback((durationSeconds, details = {}) => {
+        const stored = readStats() || getDefaultStats();
+
+        addSessionRecord({
+            id: createRecordId(),
+            type: 'start',
+            duration: durationSeconds,
+            timestamp: new Date().toISOString(),
+            completed: false,
+            taskId: details.taskId ?? null,
+            mode: details.mode || 'countdown',
+            sessionId: details.sessionId ?? null,
+            intention: details.intention ?? null,
+        });
+
+        const newStats = {
+            ...stored,
+            sessionsStarted: (stored.sessionsStarted || 0) + 1,
+            daily: addToDay(stored.daily, getLocalDateKey(), { sessionsStarted: 1 }),
+        };
+
+        saveStats(newStats);
+        return newStats;
+    }, []);
+}
+
+/**
+ * Record a completed Pomodoro break, kept apart from focus totals
+ */
+function recordBreak(stored, durationSeconds, phase) {
+    addSessionRecord({
+        id: createRecordId(),
+        type: 'break',
+        phase,
+        duration: durationSeconds,
+        timestamp: new Date().toISOString(),
+        completed: true,
+    });
+
+    return {
+        ...stored,
+        breaksCompleted: (stored.breaksCompleted || 0) + 1,
+        totalBreakTime: (stored.totalBreakTime || 0) + durationSeconds,
+        cyclesCompleted: (stored.cyclesCompleted || 0) + (phase === 'longBreak' ? 1 : 0),
+        daily: addToDay(stored.daily, getLocalDateKey(), { breaks: 1, breakSeconds: durationSeconds }),
+    };
+}
+
+/**
+ * Hook to record completed session
+ * @param {number} durationSeconds - Session length
+ * @param {object} details - { phase, taskId, mode, interruptions, sessionId, startedAt, intention, leaves, broken } where
+ * phase is focus | shortBreak | longBreak, startedAt is when the session began (ms) and leaves/broken come from lock mode
+ * and flow sessions pass their actual elapsed time as durationSeconds
+ */
+export function useRecordSession() {
+    return useCallback((durationSeconds, details = {}) => {
+        const stored = readStats() || getDefaultStats();
+
+        if (details.phase && details.phase !== 'focus') {
+            const newStats = recordBreak(stored, durationSeconds, details.phase);
+            saveStats(newStats);
+            return newStats;
+        }
+
+        const today = getLocalDateKey();
+        const settings = validateTimerSettings(getStoreValue('settings'));
+
+        addSessionRecord({
+            id: createRecordId(),
+            type: 'complete',
+            duration: durationSeconds,
+            timestamp: new Date().toISOString(),
+            completed: true,
+            taskId: details.taskId ?? null,
+            mode: details.mode || 'countdown',
+            interruptions: (details.interruptions || []).map(({ kind, reason, duration }) => ({ kind, reason, duration })),
+            sessionId: details.sessionId ?? null,
+            intention: details.intention ?? null,
+            leaves: details.leaves || 0,
+            broken: Boolean(details.broken),
+        });
+
+        // Running total per task
+        const taskFocusTime = { ...(stored.taskFocusTime || {}) };
+        if (details.taskId) {
+            taskFocusTime[details.taskId] = (taskFocusTime[details.taskId] || 0) + durationSeconds;
+        }
+
+        let daily = addToDay(stored.daily, today, { focusSeconds: durationSeconds, sessionsCompleted: 1 });
+        if (details.taskId) {
+            daily = addTaskToDay(daily, today, details.taskId, durationSeconds);
+        }
+
+        // Celebrate the session that crosses a goal
+        const dailyGoal = getDailyGoalProgress(daily, settings);
+        const weeklyGoal = getWeeklyGoalProgress(daily, settings);
+        if (dailyGoal?.met && !getDailyGoalProgress(stored.daily, settings).met) {
+            notifyGoalReached('day', formatGoalAmount(dailyGoal.target, dailyGoal.unit));
+        }
+        if (weeklyGoal?.met && !getWeeklyGoalProgress(stored.daily, settings).met) {
+            notifyGoalReached('week', formatGoalAmount(weeklyGoal.target, weeklyGoal.unit));
+        }
+
+        // Pauses make a session last longer than its duration, so go by when it actually began
+        const startedAt = details.startedAt ? new Date(details.startedAt) : new Date(Date.now() - durationSeconds * 1000);
+        const timeOfDay = getSessionTimeOfDay(startedAt);
+
+        // With goal streaks on, a day only counts once its goal is met
+        const savedStreak = getSavedStreak(stored, settings);
+        const streak = !settings.goalStreaks || !dailyGoal || dailyGoal.met
+            ? extendStreak(savedStreak, today, settings.streakFreezes)
+            : savedStreak;
+
+        const newStats = {
+            ...stored,
+            totalFocusTime: (stored.totalFocusTime || 0) + durationSeconds,
+            sessionsCompleted: (stored.sessionsCompleted || 0) + 1,
+            sessionsBroken: (stored.sessionsBroken || 0) + (details.broken ? 1 : 0),
+            earlyBirdSessions: (stored.earlyBirdSessions || 0) + (timeOfDay === 'early' ? 1 : 0),
+            nightOwlSessions: (stored.nightOwlSessions || 0) + (timeOfDay === 'late' ? 1 : 0),
+            currentStreak: streak.current,
+            longestStreak: Math.max(stored.longestStreak || 0, streak.current),
+            streakFreezes: streak.freezes,
+            daily,
+            lastSessionDate: today,
+            lastGoalDate: dailyGoal?.met ? today : (stored.lastGoalDate ?? null),
+            taskFocusTime,
+        };
+
+        saveStats(newStats);
+        return newStats;
+    }, []);
+}
+
+/**
+ * Hook to read focus seconds spent per todo id, updated as sessions are recorded
+ */
+export function useTaskFocusTime() {
+    const [stats] = useStoredState(STATS_KEY, toStatsView);
+    return stats.taskFocusTime;
+}
+
+/**
+ * Hook to attach a post-session reflection to its completed history entry
+ * @param {string} sessionId - Id the session was started with
+ * @param {object} reflection - { rating, note } with rating 1-5
+ * @returns {Promise<boolean>} Whether the entry was updated
+ */
+export function useRecordReflection() {
+    return useCallback(async (sessionId, reflection = {}) => {
+        if (!sessionId) return false;
+
+        const rating = Number.isInteger(reflection.rating) && reflection.rating >= 1 && reflection.rating <= 5
+            ? reflection.rating
+            : null;
+        const note = cleanPromptText(reflection.note, MAX_NOTE_LENGTH);
+
+        return updateSessionRecords(sessionId, 'complete', { rating, note });
+    }, []);
+}
+
+/**
+ * Hook to move history kept in focus_stats into IndexedDB on first load
+ */
+export function useHistoryMigration() {
+    useEffect(() => {
+        migrateStoredHistory();
+    }, []);
+}
+
+/**
+ * Hook to record a focus session cancelled before the end
+ * Its focused time is kept apart from completed focus; the countPartialTime setting decides whether
+ * daily totals include it
+ * @param {number} focusedSeconds - Time focused before cancelling, pauses excluded
+ * @param {object} details - { planned, taskId, mode, interruptions, sessionId, intention, paused, reason } where planned
+ * is 0 for flow sessions, paused tells whether the session was paused when abandoned and reason is cancel | stop
+ */
+export function useRecordAbandon() {
+    return useCallback((focusedSeconds, details = {}) => {
+        const stored = readStats() || getDefaultStats();
+
+        addSessionRecord({
+            id: createRecordId(),
+            type: 'abandoned',
+            duration: focusedSeconds,
+            timestamp: new Date().toISOString(),
+            completed: false,
+            planned: details.planned || 0,
+            taskId: details.taskId ?? null,
+            mode: details.mode || 'countdown',
+            interruptions: (details.interruptions || []).map(({ kind, reason, duration }) => ({ kind, reason, duration })),
+            sessionId: details.sessionId ?? null,
+            intention: details.intention ?? null,
+            paused: Boolean(details.paused),
+            reason: details.reason || 'cancel',
+        });
+
+        const newStats = {
+            ...stored,
+            sessionsAbandoned: (stored.sessionsAbandoned || 0) + 1,
+            totalAbandonedTime: (stored.totalAbandonedTime || 0) + focusedSeconds,
+            daily: addToDay(stored.daily, getLocalDateKey(), { sessionsAbandoned: 1, abandonedSeconds: focusedSeconds }),
+        };
+
+        saveStats(newStats);
+        return newStats;
+    }, []);
+}
+
+/**
+ * Hook to take back an abandoned session when its cancel is undone
+ * @param {string} sessionId - Id the session was started with
+ * @returns {Promise<boolean>} Whether an abandoned entry was removed
+ */
+export function useRecordRestore() {
+    return useCallback(async (sessionId) => {
+        if (!sessionId) return false;
+
+        const removed = await removeSessionRecords(sessionId, 'abandoned');
+        if (!removed?.length) return false;
+
+        const stored = readStats() || getDefaultStats();
+        let daily = stored.daily;
+        let seconds = 0;
+        removed.forEach((record) => {
+            seconds += record.duration;
+            daily = addToDay(daily, getLocalDateKey(record.timestamp), { sessionsAbandoned: -1, abandonedSeconds: -record.duration });
+        });
+
+        saveStats({
+            ...stored,
+            sessionsAbandoned: Math.max(0, (stored.sessionsAbandoned || 0) - removed.length),
+            totalAbandonedTime: Math.max(0, (stored.totalAbandonedTime || 0) - seconds),
+            daily,
+        });
+        return true;
+    }, []);
+}
+
+/**
+ * Hook to record time spent in a breathing exercise
+ * @param {number} seconds - Length of the breathing cycle just finished
+ */
+export function useRecordBreathing() {
+    return useCallback((seconds) => {
+        const stored = readStats() || getDefaultStats();
+        saveStats({ ...stored, breathingSeconds: (stored.breathingSeconds || 0) + seconds });
+    }, []);
+}
@@ -2,6 +2,7 @@ import { useState, useRef, useCallback } from 'react';
 
 /**
  * Long press detection hook
+ * Holding Enter or Space counts as a press too, so keyboard users can reach held actions
  * @param {Function} onLongPress - Callback when long press detected
  * @param {number} delay - Delay in ms (default 500)
  * @param {number} moveThreshold - Max movement in px (default 10)
@@ -21,9 +22,7 @@ export function useLongPress(onLongPress, delay = 500, moveThreshold = 10) {
         cancelledRef.current = true;
     }, []);
 
-    const handleStart = useCallback((e) => {
-        const touch = e.touches?.[0] || e;
-        startPosRef.current = { x: touch.clientX, y: touch.clientY };
+    const press = useCallback(() => {
         cancelledRef.current = false;
         setIsPressed(true);
 
@@ -35,6 +34,23 @@ export function useLongPress(onLongPress, delay = 500, moveThreshold = 10) {
         }, delay);
     }, [onLongPress, delay]);
 
+    const handleStart = useCallback((e) => {
+        const touch = e.touches?.[0] || e;
+        startPosRef.current = { x: touch.clientX, y: touch.clientY };
+        press();
+    }, [press]);
+
+    // Key repeat fires keydown again while held; only the first one starts the press
+    const handleKeyDown = useCallback((e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        if (!e.repeat && !timeoutRef.current) press();
+    }, [press]);
+
+    const handleKeyUp = useCallback((e) => {
+        if (e.key === 'Enter' || e.key === ' ') cancel();
+    }, [cancel]);
+
     const handleMove = useCallback((e) => {
         if (!isPressed) return;
 
@@ -62,6 +78,9 @@ export function useLongPress(onLongPress, delay = 500, moveThreshold = 10) {
             onMouseMove: handleMove,
             onMouseUp: handleEnd,
             onMouseLeave: handleEnd,
+            onKeyDown: handleKeyDown,
+            onKeyUp: handleKeyUp,
+            onBlur: handleEnd,
         },
         cancel,
     };
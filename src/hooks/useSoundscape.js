@@ -0,0 +1,56 @@
+import { useEffect, useRef } from 'react';
+import { createSoundscape } from '../utils/soundscapes';
+
+/**
+ * Volume multiplier while paused
+ */
+const DUCK_LEVEL = 0.2;
+
+/**
+ * Plays the chosen ambient soundscape during focus sessions
+ * Fades in on commit, ducks on pause, fades out on completion or cancel
+ * @param {object} options - { status, phase, soundscape, volume, enabled, isLeader }
+ */
+export function useSoundscape({ status, phase, soundscape, volume, enabled, isLeader }) {
+    const controllerRef = useRef(null);
+
+    const shouldPlay = enabled &&
+        soundscape !== 'none' &&
+        phase === 'focus' &&
+        (status === 'running' || status === 'paused');
+
+    useEffect(() => {
+        const current = controllerRef.current;
+
+        if (!shouldPlay) {
+            if (current) {
+                // Long, gentle fade at the end of a session
+                current.stop(status === 'completed' ? 3 : 1);
+                controllerRef.current = null;
+            }
+            return;
+        }
+
+        if (current && current.type !== soundscape) {
+            current.stop(0.5);
+            controllerRef.current = null;
+        }
+
+        if (!controllerRef.current) {
+            // Only one tab plays when several are open
+            if (!isLeader()) return;
+            controllerRef.current = createSoundscape(soundscape);
+        }
+
+        const isPaused = status === 'paused';
+        controllerRef.current?.fadeTo(isPaused ? volume * DUCK_LEVEL : volume, isPaused ? 0.5 : 2);
+    }, [shouldPlay, status, soundscape, volume, isLeader]);
+
+    // Silence on unmount
+    useEffect(() => {
+        return () => {
+            controllerRef.current?.stop(0.5);
+            controllerRef.current = null;
+        };
+    }, []);
+}
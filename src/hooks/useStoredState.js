@@ -0,0 +1,23 @@
+import { useCallback, useMemo, useSyncExternalStore } from 'react';
+import { getStoreValue, setStoreValue, subscribeToStore } from '../utils/appStore';
+
+const keepAsIs = value => value;
+
+/**
+ * State backed by the app store: re-renders when the key changes anywhere, in this tab or another
+ * @param {string} key - Storage key
+ * @param {function} normalize - Turns the stored value (null when unset) into the shape the view uses,
+ * defaults included; must be stable, so define it outside the component
+ * @returns {Array} [value, setValue] where setValue takes a value or an updater of the normalized value
+ */
+export function useStoredState(key, normalize = keepAsIs) {
+    const subscribe = useCallback(listener => subscribeToStore(key, listener), [key]);
+    const stored = useSyncExternalStore(subscribe, () => getStoreValue(key));
+    const value = useMemo(() => normalize(stored), [stored, normalize]);
+
+    const setValue = useCallback((update) => {
+        setStoreValue(key, typeof update === 'function' ? update(normalize(getStoreValue(key))) : update);
+    }, [key, normalize]);
+
+    return [value, setValue];
+}
@@ -0,0 +1,81 @@
+import { useEffect, useRef } from 'react';
+import { formatTime } from '../utils/math';
+import { drawTimerFavicon, setFavicon, restoreFavicon } from '../utils/favicon';
+
+/**
+ * How often the title and favicon flash once a session completes (ms)
+ */
+const FLASH_INTERVAL = 1000;
+
+function getStatusLabel(status, phase, isFlow) {
+    if (status === 'paused') return 'paused';
+    if (phase !== 'focus') return 'on break';
+    return isFlow ? 'flowing' : 'focusing';
+}
+
+function restoreTab(baseTitleRef) {
+    if (baseTitleRef.current !== null) {
+        document.title = baseTitleRef.current;
+        baseTitleRef.current = null;
+    }
+    restoreFavicon();
+}
+
+/**
+ * Mirror the timer in the browser tab: a live countdown in the document title
+ * and a progress-ring favicon, flashing on completion so background tabs stand out
+ * @param {object} state - Timer state from useTimerState
+ * @param {boolean} enabled - Tab indicator setting
+ */
+export function useTabIndicator(state, enabled) {
+    const baseTitleRef = useRef(null);
+
+    const { status, mode, phase, duration, remaining, elapsed } = state;
+    const isLive = enabled && (status === 'running' || status === 'paused');
+    const isDone = enabled && status === 'completed';
+
+    // Countdown (or count-up in flow) while a session is live
+    useEffect(() => {
+        if (!isLive) return;
+        if (baseTitleRef.current === null) baseTitleRef.current = document.title;
+
+        const isFlow = mode === 'flow';
+        document.title = `${formatTime(isFlow ? elapsed : remaining)} · ${getStatusLabel(status, phase, isFlow)}`;
+        setFavicon(drawTimerFavicon({
+            // Same ring as TimerCircle: remaining time, or the current hour's lap in flow
+            progress: isFlow ? (elapsed % 3600) / 3600 : (duration > 0 ? remaining / duration : 0),
+            paused: status === 'paused',
+        }));
+    }, [isLive, status, mode, phase, duration, remaining, elapsed]);
+
+    // Flash until the completion is acknowledged, steady while the tab is in view
+    useEffect(() => {
+        if (!isDone) return;
+        if (baseTitleRef.current === null) baseTitleRef.current = document.title;
+
+        const message = phase === 'focus' ? "Time's up" : 'Break over';
+        const ringIcon = drawTimerFavicon({ progress: 1 });
+        const flashIcon = drawTimerFavicon({ flash: true });
+        let on = true;
+
+        const show = () => {
+            document.title = on ? `● ${message}` : baseTitleRef.current;
+            setFavicon(on ? flashIcon : ringIcon);
+        };
+        show();
+
+        const intervalId = setInterval(() => {
+            on = document.hidden ? !on : true;
+            show();
+        }, FLASH_INTERVAL);
+
+        return () => clearInterval(intervalId);
+    }, [isDone, phase]);
+
+    // Back to the normal title and icon when idle or switched off
+    useEffect(() => {
+        if (!isLive && !isDone) restoreTab(baseTitleRef);
+    }, [isLive, isDone]);
+
+    useEffect(() => () => restoreTab(baseTitleRef), []);
+}
@@ -0,0 +1,59 @@
+import { useEffect, useRef } from 'react';
+import { playChime, getPassedBells } from '../utils/chimes';
+
+/**
+ * Interval bells for focus sessions
+ * (the start chime is rung by ZenTimer's sessionStarted effect)
+ * @param {object} state - Timer state from useTimerState
+ * @param {object} settings - Validated timer settings
+ * @param {Function} isLeader - Whether this tab should make sound
+ */
+export function useTimerBells(state, settings, isLeader) {
+    const firedRef = useRef({ sessionKey: null, bells: new Set() });
+
+    const { status, startTime, phase, mode, duration, remaining, elapsed } = state;
+    const enabled = settings.soundEnabled && phase === 'focus';
+
+    // Interval bells while running
+    useEffect(() => {
+        if (!enabled || status !== 'running' || settings.intervalChime === 'none') return;
+
+        const passedBells = getPassedBells({
+            passed: mode === 'flow' ? elapsed : duration - remaining,
+            remaining,
+            duration,
+            mode,
+            intervalMode: settings.intervalMode,
+            intervalMinutes: settings.intervalMinutes,
+        });
+
+        // First look at a session: mark what already passed without ringing
+        const fired = firedRef.current;
+        if (fired.sessionKey !== startTime) {
+            firedRef.current = { sessionKey: startTime, bells: new Set(passedBells) };
+            return;
+        }
+
+        const fresh = passedBells.filter(bell => !fired.bells.has(bell));
+        if (fresh.length === 0) return;
+        fresh.forEach(bell => fired.bells.add(bell));
+
+        // Skip a bell that lands on completion; the completion chime covers it
+        if (remaining > 0 && isLeader()) {
+            playChime(settings.intervalChime, settings.chimeVolume);
+        }
+    }, [
+        enabled,
+        status,
+        startTime,
+        mode,
+        duration,
+        remaining,
+        elapsed,
+        settings.intervalChime,
+        settings.intervalMode,
+        settings.intervalMinutes,
+        settings.chimeVolume,
+        isLeader,
+    ]);
+}
@@ -1,153 +1,85 @@
 import { useReducer, useCallback, useEffect, useRef } from 'react';
 import { getStorageItem, setStorageItem } from '../utils/storage';
+import { useTimerSync } from './useTimerSync';
+import { INITIAL_STATE, transition, replayLog } from '../utils/timerMachine';
+
+export { UNDO_CANCEL_MS } from '../utils/timerMachine';
 
 /**
  * Timer State Machine with localStorage persistence
  * Timer continues even when switching tabs/closing app
+ * and stays in step across open tabs (see useTimerSync).
+ * Transitions live in utils/timerMachine; this hook stamps events,
+ * persists state and session logs, and runs the effects transitions ask for.
  */
 
 const TIMER_STATE_KEY = 'active_timer';
+const TIMER_LOGS_KEY = 'timer_logs';
 
-const INITIAL_STATE = {
-    status: 'idle',       // idle | adjusting | committing | running | paused | completed | settings
-    duration: 25 * 60,    // Duration in seconds
-    remaining: 25 * 60,   // Remaining seconds
-    startTime: null,      // When timer started (timestamp)
-    pausedAt: null,       // When paused (timestamp)
-    endTime: null,        // When timer should complete (timestamp)
-};
-
-function calculateRemaining(state) {
-    if (state.status === 'running' && state.endTime) {
-        const now = Date.now();
-        const remaining = Math.max(0, Math.floor((state.endTime - now) / 1000));
-        return remaining;
-    }
-    return state.remaining;
-}
-
-function timerReducer(state, action) {
-    switch (action.type) {
-        case 'RESTORE': {
-            // Restore from saved state
-            const saved = action.savedState;
-            if (!saved) return state;
-
-            // If was running, check if it should have completed
-            if (saved.status === 'running' && saved.endTime) {
-                const now = Date.now();
-                if (now >= saved.endTime) {
-                    return { ...saved, status: 'completed', remaining: 0 };
-                }
-                const remaining = Math.floor((saved.endTime - now) / 1000);
-                return { ...saved, remaining };
-            }
-            return saved;
-        }
-
-        case 'START_ADJUST':
-            return { ...state, status: 'adjusting' };
-
-        case 'SET_DURATION': {
-            const minutes = Math.max(1, Math.min(120, action.minutes));
-            const seconds = minutes * 60;
-            return { ...state, duration: seconds, remaining: seconds };
-        }
-
-        case 'END_ADJUST':
-            return { ...state, status: 'idle' };
-
-        case 'ENTER_DROP_ZONE':
-            return { ...state, status: 'committing' };
-
-        case 'EXIT_DROP_ZONE':
-            return { ...state, status: 'adjusting' };
+/**
+ * Session logs kept for replay and inspection
+ */
+const MAX_SESSION_LOGS = 20;
 
-        case 'COMMIT': {
-            const now = Date.now();
-            return {
-                ...state,
-                status: 'running',
-                startTime: now,
-                endTime: now + (state.duration * 1000), // Calculate end time
-                remaining: state.duration,
-            };
-        }
+/**
+ * Rebuild a saved session from its event log, falling back to the saved snapshot
+ */
+function loadSavedSession() {
+    const saved = getStorageItem(TIMER_STATE_KEY, null);
+    if (!saved || (saved.status !== 'running' && saved.status !== 'paused')) return null;
 
-        case 'TICK':
-            if (state.status !== 'running') return state;
-            const newRemaining = calculateRemaining(state);
-            if (newRemaining <= 0) {
-                return { ...state, status: 'completed', remaining: 0 };
-            }
-            return { ...state, remaining: newRemaining };
-
-        case 'PAUSE':
-            if (state.status !== 'running') return state;
-            return {
-                ...state,
-                status: 'paused',
-                pausedAt: Date.now(),
-                remaining: calculateRemaining(state),
-                endTime: null, // Clear end time when paused
-            };
-
-        case 'RESUME': {
-            if (state.status !== 'paused') return state;
-            const now = Date.now();
-            return {
-                ...state,
-                status: 'running',
-                pausedAt: null,
-                endTime: now + (state.remaining * 1000), // New end time from remaining
-            };
-        }
+    const logs = getStorageItem(TIMER_LOGS_KEY, {});
+    const replayed = replayLog(logs?.[saved.sessionId]);
+    return replayed && replayed.status === saved.status ? replayed : saved;
+}
 
-        case 'CANCEL':
-        case 'RESET':
-            return {
-                ...INITIAL_STATE,
-                duration: state.duration,
-                remaining: state.duration,
-            };
-
-        case 'OPEN_SETTINGS':
-            return { ...state, status: 'settings' };
-
-        case 'CLOSE_SETTINGS':
-            return { ...state, status: 'idle' };
-
-        case 'COMPLETE_ACKNOWLEDGED':
-            return {
-                ...INITIAL_STATE,
-                duration: state.duration,
-                remaining: state.duration,
-            };
-
-        default:
-            return state;
-    }
+function saveSessionLog(sessionId, log) {
+    const logs = getStorageItem(TIMER_LOGS_KEY, {}) || {};
+    const { [sessionId]: _previous, ...others } = logs;
+    const kept = Object.entries(others).slice(-(MAX_SESSION_LOGS - 1));
+    setStorageItem(TIMER_LOGS_KEY, { ...Object.fromEntries(kept), [sessionId]: log });
 }
 
-export function useTimerState(initialDuration = 25) {
-    const [state, dispatch] = useReducer(timerReducer, {
+/**
+ * @param {number} initialDuration - Default session length in minutes
+ * @param {object} options - { onEffect } called as onEffect(effect, { isLeader }) for each effect a
+ * transition requests ({ type: sessionStarted | sessionCompleted | sessionCancelled | sessionRestored, at, reason, phase,
+ * mode, duration, ... }, reason being the event type; cancellations also carry { focused, remaining, paused })
+ */
+export function useTimerState(initialDuration = 25, { onEffect } = {}) {
+    const [state, dispatch] = useReducer(transition, {
         ...INITIAL_STATE,
         duration: initialDuration * 60,
         remaining: initialDuration * 60,
+        focusDuration: initialDuration * 60,
     });
 
     const isInitialized = useRef(false);
+    const { markLocalChange, isLeader, leaderReady } = useTimerSync(state, dispatch);
+
+    // Every event carries the time it happened, so transitions stay pure
+    const dispatchNow = useCallback((event) => {
+        dispatch({ ...event, at: Date.now() });
+    }, []);
+
+    // User actions are shared with other tabs; ticks run locally everywhere
+    const dispatchLocal = useCallback((event) => {
+        markLocalChange();
+        dispatchNow(event);
+    }, [markLocalChange, dispatchNow]);
 
     // Restore timer state on mount
     useEffect(() => {
         if (isInitialized.current) return;
         isInitialized.current = true;
 
-        const saved = getStorageItem(TIMER_STATE_KEY, null);
-        if (saved && (saved.status === 'running' || saved.status === 'paused')) {
-            dispatch({ type: 'RESTORE', savedState: saved });
+        const saved = loadSavedSession();
+        if (saved) {
+            dispatchNow({ type: 'RESTORE', savedState: saved });
+            // Completes a session that ran out while the app was closed
+            dispatchNow({ type: 'TICK' });
         }
-    }, []);
+    }, [dispatchNow]);
 
     // Save timer state whenever it changes
     useEffect(() => {
@@ -161,35 +93,83 @@ export function useTimerState(initialDuration = 25) {
         }
     }, [state]);
 
+    // Keep each session's event log
+    useEffect(() => {
+        if (state.sessionId && state.log.length > 0) {
+            saveSessionLog(state.sessionId, state.log);
+        }
+    }, [state.sessionId, state.log]);
+
+    // Run the side effects of transitions (restored and synced states carry none)
+    const onEffectRef = useRef(onEffect);
+    useEffect(() => {
+        onEffectRef.current = onEffect;
+    }, [onEffect]);
+
+    // Effects wait until this tab knows whether it leads, so a session that ran out while
+    // the app was closed is still reported by the tab that reopens it
+    const handledEffectsRef = useRef(state.effects);
+    const pendingEffectsRef = useRef([]);
+    useEffect(() => {
+        if (handledEffectsRef.current !== state.effects) {
+            handledEffectsRef.current = state.effects;
+            pendingEffectsRef.current = [...pendingEffectsRef.current, ...state.effects];
+        }
+        if (!leaderReady || pendingEffectsRef.current.length === 0) return;
+
+        const effects = pendingEffectsRef.current;
+        pendingEffectsRef.current = [];
+        effects.forEach(effect => onEffectRef.current?.(effect, { isLeader }));
+    }, [state.effects, isLeader, leaderReady]);
+
     // Handle visibility change (tab switch, app background)
+    const hiddenAtRef = useRef(null);
     useEffect(() => {
         const handleVisibility = () => {
-            if (document.visibilityState === 'visible' && state.status === 'running') {
+            if (document.visibilityState === 'hidden') {
+                // Leaving mid-session counts as a possible distraction
+                hiddenAtRef.current = state.status === 'running' ? Date.now() : null;
+                if (state.lock && (state.status === 'running' || state.status === 'paused')) {
+                    dispatchLocal({ type: 'LOG_LEAVE' });
+                }
+                return;
+            }
+
+            if (hiddenAtRef.current) {
+                dispatchLocal({ type: 'LOG_DISTRACTION', start: hiddenAtRef.current, end: Date.now() });
+                hiddenAtRef.current = null;
+            }
+
+            if (state.status === 'running') {
                 // Recalculate remaining time when tab becomes visible
-                dispatch({ type: 'TICK' });
+                dispatchNow({ type: 'TICK' });
             }
         };
 
         document.addEventListener('visibilitychange', handleVisibility);
         return () => document.removeEventListener('visibilitychange', handleVisibility);
-    }, [state.status]);
+    }, [state.status, state.lock, dispatchLocal, dispatchNow]);
 
     const actions = {
-        startAdjust: useCallback(() => dispatch({ type: 'START_ADJUST' }), []),
-        setDuration: useCallback((minutes) => dispatch({ type: 'SET_DURATION', minutes }), []),
-        endAdjust: useCallback(() => dispatch({ type: 'END_ADJUST' }), []),
-        enterDropZone: useCallback(() => dispatch({ type: 'ENTER_DROP_ZONE' }), []),
-        exitDropZone: useCallback(() => dispatch({ type: 'EXIT_DROP_ZONE' }), []),
-        commit: useCallback(() => dispatch({ type: 'COMMIT' }), []),
-        tick: useCallback(() => dispatch({ type: 'TICK' }), []),
-        pause: useCallback(() => dispatch({ type: 'PAUSE' }), []),
-        resume: useCallback(() => dispatch({ type: 'RESUME' }), []),
-        cancel: useCallback(() => dispatch({ type: 'CANCEL' }), []),
-        reset: useCallback(() => dispatch({ type: 'RESET' }), []),
-        openSettings: useCallback(() => dispatch({ type: 'OPEN_SETTINGS' }), []),
-        closeSettings: useCallback(() => dispatch({ type: 'CLOSE_SETTINGS' }), []),
-        acknowledgeComplete: useCallback(() => dispatch({ type: 'COMPLETE_ACKNOWLEDGED' }), []),
+        startAdjust: useCallback(() => dispatchLocal({ type: 'START_ADJUST' }), [dispatchLocal]),
+        setDuration: useCallback((minutes, minDuration) => dispatchLocal({ type: 'SET_DURATION', minutes, minDuration }), [dispatchLocal]),
+        endAdjust: useCallback(() => dispatchLocal({ type: 'END_ADJUST' }), [dispatchLocal]),
+        enterDropZone: useCallback(() => dispatchLocal({ type: 'ENTER_DROP_ZONE' }), [dispatchLocal]),
+        exitDropZone: useCallback(() => dispatchLocal({ type: 'EXIT_DROP_ZONE' }), [dispatchLocal]),
+        setMode: useCallback((mode) => dispatchLocal({ type: 'SET_MODE', mode }), [dispatchLocal]),
+        commit: useCallback((session = {}) => dispatchLocal({ type: 'COMMIT', ...session }), [dispatchLocal]),
+        tick: useCallback(() => dispatchNow({ type: 'TICK' }), [dispatchNow]),
+        pause: useCallback(() => dispatchLocal({ type: 'PAUSE' }), [dispatchLocal]),
+        resume: useCallback(() => dispatchLocal({ type: 'RESUME' }), [dispatchLocal]),
+        setPauseReason: useCallback((reason) => dispatchLocal({ type: 'SET_PAUSE_REASON', reason }), [dispatchLocal]),
+        extend: useCallback((minutes) => dispatchLocal({ type: 'EXTEND', minutes }), [dispatchLocal]),
+        stop: useCallback(() => dispatchLocal({ type: 'STOP' }), [dispatchLocal]),
+        cancel: useCallback(() => dispatchLocal({ type: 'CANCEL' }), [dispatchLocal]),
+        undoCancel: useCallback(() => dispatchLocal({ type: 'UNDO_CANCEL' }), [dispatchLocal]),
+        reset: useCallback(() => dispatchLocal({ type: 'RESET' }), [dispatchLocal]),
+        acknowledgeComplete: useCallback((cycle = null) => dispatchLocal({ type: 'COMPLETE_ACKNOWLEDGED', cycle }), [dispatchLocal]),
+        advancePhase: useCallback((cycle, autoStart = false, session = {}) => dispatchLocal({ type: 'ADVANCE_PHASE', cycle, autoStart, session }), [dispatchLocal]),
     };
 
-    return { state, actions };
+    return { state, actions, isLeader };
 }
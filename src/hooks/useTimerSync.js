@@ -0,0 +1,153 @@
+import { useEffect, useRef, useCallback, useState } from 'react';
+
+/**
+ * Cross-tab timer sync over BroadcastChannel
+ * Every tab mirrors the same timer; the leader tab alone records
+ * completions and plays sounds so nothing happens twice
+ *
+ * The leader is whichever tab holds a Web Lock, which the browser hands to a waiting
+ * tab only when the holder goes away. Heartbeats can't decide this on their own:
+ * hidden tabs have their timers throttled to about once a minute, so a backgrounded
+ * leader would look gone and two tabs would lead. They remain as the fallback for
+ * browsers without navigator.locks.
+ *
+ * Asking for the lock is async, so a tab doesn't lead or follow until the first answer
+ * comes back; `leaderReady` tells effects that depend on it when to run.
+ */
+
+const CHANNEL_NAME = 'zen_timer_sync';
+const LEADER_LOCK = 'zen_timer_leader';
+const HEARTBEAT_INTERVAL = 2000;
+const PEER_TIMEOUT = 5000;
+
+// Statuses worth mirroring; adjusting/committing/settings are local UI states
+const SYNCED_STATUSES = ['idle', 'running', 'paused', 'completed'];
+
+// Unique per page load; without Web Locks the lowest live id leads
+const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+function hasWebLocks() {
+    return typeof navigator !== 'undefined' && Boolean(navigator.locks);
+}
+
+export function useTimerSync(state, dispatch) {
+    const channelRef = useRef(null);
+    const peersRef = useRef(new Map()); // tabId -> last heartbeat timestamp
+    const pendingBroadcastRef = useRef(false);
+    const lastChangeRef = useRef(0);
+    // pending until the lock answers, then leader | follower; heartbeat without Web Locks
+    const [role, setRole] = useState(() => (hasWebLocks() ? 'pending' : 'heartbeat'));
+
+    // Take the leader lock if it's free, otherwise wait in line for it; hold it until this tab closes
+    useEffect(() => {
+        if (!hasWebLocks()) return;
+
+        const controller = new AbortController();
+        let stopped = false;
+        let release = null;
+        const hold = () => {
+            if (stopped) return undefined;
+            setRole('leader');
+            return new Promise((resolve) => { release = resolve; });
+        };
+        const fallBack = (error) => {
+            if (error.name === 'AbortError') return;
+            console.warn('Leader lock unavailable, using heartbeats:', error.message);
+            setRole('heartbeat');
+        };
+
+        navigator.locks.request(LEADER_LOCK, { ifAvailable: true }, (lock) => {
+            if (lock) return hold();
+            if (stopped) return undefined;
+            setRole('follower');
+            navigator.locks.request(LEADER_LOCK, { signal: controller.signal }, hold).catch(fallBack);
+            return undefined;
+        }).catch(fallBack);
+
+        return () => {
+            stopped = true;
+            controller.abort();
+            release?.();
+        };
+    }, []);
+
+    // Open the channel, track peers and apply remote state
+    useEffect(() => {
+        if (typeof window === 'undefined' || !('BroadcastChannel' in window)) return;
+
+        const channel = new BroadcastChannel(CHANNEL_NAME);
+        channelRef.current = channel;
+        const peers = peersRef.current;
+
+        channel.onmessage = (event) => {
+            const message = event.data;
+            if (!message || message.from === TAB_ID) return;
+
+            if (message.type === 'heartbeat') {
+                peers.set(message.from, Date.now());
+            } else if (message.type === 'bye') {
+                peers.delete(message.from);
+            } else if (message.type === 'state') {
+                peers.set(message.from, Date.now());
+                // Ignore anything older than our own latest change
+                if (message.sentAt < lastChangeRef.current) return;
+                lastChangeRef.current = message.sentAt;
+                pendingBroadcastRef.current = false;
+                dispatch({ type: 'RESTORE', savedState: message.state });
+            }
+        };
+
+        const sendHeartbeat = () => {
+            channel.postMessage({ type: 'heartbeat', from: TAB_ID });
+            const now = Date.now();
+            peers.forEach((lastSeen, id) => {
+                if (now - lastSeen > PEER_TIMEOUT) peers.delete(id);
+            });
+        };
+        const sayBye = () => channel.postMessage({ type: 'bye', from: TAB_ID });
+
+        sendHeartbeat();
+        const intervalId = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
+        window.addEventListener('pagehide', sayBye);
+
+        return () => {
+            clearInterval(intervalId);
+            window.removeEventListener('pagehide', sayBye);
+            sayBye();
+            channel.close();
+            channelRef.current = null;
+            peers.clear();
+        };
+    }, [dispatch]);
+
+    // Broadcast state produced by local user actions (not ticks or remote updates)
+    useEffect(() => {
+        if (!pendingBroadcastRef.current || !SYNCED_STATUSES.includes(state.status)) return;
+        pendingBroadcastRef.current = false;
+        channelRef.current?.postMessage({
+            type: 'state',
+            from: TAB_ID,
+            sentAt: lastChangeRef.current,
+            state,
+        });
+    }, [state]);
+
+    // Call before dispatching a user action so the result gets shared
+    const markLocalChange = useCallback(() => {
+        pendingBroadcastRef.current = true;
+        lastChangeRef.current = Date.now();
+    }, []);
+
+    // Whether this tab should record completions and play sounds
+    const isLeader = useCallback(() => {
+        if (!channelRef.current) return true;
+        if (role !== 'heartbeat') return role === 'leader';
+        let leader = TAB_ID;
+        peersRef.current.forEach((lastSeen, id) => {
+            if (id < leader) leader = id;
+        });
+        return leader === TAB_ID;
+    }, [role]);
+
+    return { markLocalChange, isLeader, leaderReady: role !== 'pending' };
+}
@@ -0,0 +1,23 @@
+import { useCallback } from 'react';
+import { getStoreValue, setStoreValue } from '../utils/appStore';
+import { readTodos } from '../utils/todos';
+import { useStoredState } from './useStoredState';
+
+/**
+ * Hook for the stored todo list, kept in step with other views and tabs
+ * @returns {Array} [todos, setTodos] where setTodos takes a list or an updater of the current one
+ */
+export function useTodos() {
+    return useStoredState('todos', readTodos);
+}
+
+/**
+ * Hook to mark a todo done from outside the list (e.g. after a focus session)
+ */
+export function useCompleteTodo() {
+    return useCallback((id) => {
+        const updated = readTodos(getStoreValue('todos'))
+            .map(todo => todo.id === id ? { ...todo, completed: true } : todo);
+        setStoreValue('todos', updated);
+    }, []);
+}
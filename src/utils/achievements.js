@@ -0,0 +1,116 @@
+import { getStoreValue, setStoreValue, subscribeToStore } from './appStore';
+import { migrateStats } from './dailyStats';
+
+/**
+ * Achievements and milestone badges
+ * Each is a threshold on a focus_stats total; once reached it is awarded for good,
+ * stored with its unlock date under the `achievements` key as { [id]: ISO date }
+ */
+
+export const ACHIEVEMENTS_KEY = 'achievements';
+
+// Sessions started in these local hours earn the time-of-day badges
+const EARLY_BIRD_HOURS = [4, 7];  // 4:00-6:59
+const NIGHT_OWL_HOURS = [22, 4];  // 22:00-3:59
+
+const HOUR = 3600;
+
+export const ACHIEVEMENTS = [
+    { id: 'first-session', title: 'First Step', description: 'Complete your first focus session', stat: 'sessionsCompleted', target: 1 },
+    { id: 'sessions-10', title: 'Getting Going', description: 'Complete 10 focus sessions', stat: 'sessionsCompleted', target: 10 },
+    { id: 'sessions-100', title: 'Centurion', description: 'Complete 100 focus sessions', stat: 'sessionsCompleted', target: 100 },
+    { id: 'sessions-1000', title: 'Deep Worker', description: 'Complete 1,000 focus sessions', stat: 'sessionsCompleted', target: 1000 },
+    { id: 'hours-10', title: 'Ten Hours', description: 'Focus for 10 hours in total', stat: 'totalFocusTime', target: 10 * HOUR },
+    { id: 'hours-100', title: 'Hundred Hours', description: 'Focus for 100 hours in total', stat: 'totalFocusTime', target: 100 * HOUR },
+    { id: 'hours-1000', title: 'Thousand Hours', description: 'Focus for 1,000 hours in total', stat: 'totalFocusTime', target: 1000 * HOUR },
+    { id: 'streak-7', title: 'One Week', description: 'Keep a 7-day streak', stat: 'longestStreak', target: 7 },
+    { id: 'streak-30', title: 'One Month', description: 'Keep a 30-day streak', stat: 'longestStreak', target: 30 },
+    { id: 'streak-100', title: 'Hundred Days', description: 'Keep a 100-day streak', stat: 'longestStreak', target: 100 },
+    { id: 'early-bird', title: 'Early Bird', description: 'Complete a session started before 7 AM', stat: 'earlyBirdSessions', target: 1 },
+    { id: 'night-owl', title: 'Night Owl', description: 'Complete a session started after 10 PM', stat: 'nightOwlSessions', target: 1 },
+    { id: 'pomodoro-cycle', title: 'Full Cycle', description: 'Finish a Pomodoro cycle, long break included', stat: 'cyclesCompleted', target: 1 },
+    { id: 'breathing-10', title: 'Deep Breath', description: 'Breathe for 10 minutes in total', stat: 'breathingSeconds', target: 10 * 60 },
+    { id: 'breathing-60', title: 'Still Mind', description: 'Breathe for an hour in total', stat: 'breathingSeconds', target: HOUR },
+];
+
+/**
+ * Which time-of-day badge a session counts towards
+ * @param {Date} startedAt - When the session started
+ * @returns {string|null} early | late, or null for daytime sessions
+ */
+export function getSessionTimeOfDay(startedAt) {
+    const hour = startedAt.getHours();
+    if (hour >= EARLY_BIRD_HOURS[0] && hour < EARLY_BIRD_HOURS[1]) return 'early';
+    if (hour >= NIGHT_OWL_HOURS[0] || hour < NIGHT_OWL_HOURS[1]) return 'late';
+    return null;
+}
+
+/**
+ * How far each achievement has got
+ * @param {object} stats - focus_stats
+ * @param {object} unlocked - { [id]: ISO date } as stored
+ * @returns {object[]} Achievements with { value, ratio, unlockedAt } where unlockedAt is null while locked
+ */
+export function getAchievementProgress(stats, unlocked = {}) {
+    return ACHIEVEMENTS.map((achievement) => {
+        const value = stats?.[achievement.stat] || 0;
+        return {
+            ...achievement,
+            value,
+            ratio: Math.min(value / achievement.target, 1),
+            unlockedAt: unlocked[achievement.id] || null,
+        };
+    });
+}
+
+/**
+ * Achievements reached but not yet awarded
+ * @param {object} stats - focus_stats
+ * @param {object} unlocked - { [id]: ISO date } as stored
+ * @returns {object[]} Achievements, in list order
+ */
+export function getNewAchievements(stats, unlocked = {}) {
+    return ACHIEVEMENTS.filter(a => !unlocked[a.id] && (stats?.[a.stat] || 0) >= a.target);
+}
+
+/**
+ * Stored unlocks as a clean map
+ */
+export function readUnlocked(stored) {
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+}
+
+/**
+ * Award every achievement the saved stats have reached
+ * @returns {object[]} Achievements awarded by this call
+ */
+export function awardAchievements() {
+    const unlocked = readUnlocked(getStoreValue(ACHIEVEMENTS_KEY));
+    const earned = getNewAchievements(migrateStats(getStoreValue('focus_stats')), unlocked);
+    if (earned.length > 0) {
+        const now = new Date().toISOString();
+        setStoreValue(ACHIEVEMENTS_KEY, {
+            ...unlocked,
+            ...Object.fromEntries(earned.map(a => [a.id, now])),
+        });
+    }
+    return earned;
+}
+
+/**
+ * Check achievements now and whenever this tab changes the stats
+ * Changes synced from other tabs are left to the tab that made them, so nothing is awarded twice
+ * @param {function} onUnlock - Called with the achievements each check awards
+ * @returns {function} Stop watching
+ */
+export function watchAchievements(onUnlock) {
+    const check = () => {
+        const earned = awardAchievements();
+        if (earned.length > 0) onUnlock(earned);
+    };
+
+    check();
+    return subscribeToStore('focus_stats', (origin) => {
+        if (origin === 'local') check();
+    });
+}
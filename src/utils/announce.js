@@ -0,0 +1,52 @@
+/**
+ * Screen reader announcement utilities for the timer
+ * Builds the text for an ARIA live region from timer state
+ */
+
+/**
+ * Describe a number of minutes in words
+ * @param {number} minutes - Whole minutes
+ * @returns {string} e.g. "1 minute", "25 minutes"
+ */
+export function describeMinutes(minutes) {
+    return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+}
+
+/**
+ * Round remaining time to the interval it should be announced at
+ * Every 5 minutes while plenty is left, every minute near the end,
+ * then once at 30 seconds
+ * @param {number} seconds - Remaining seconds
+ * @returns {string} Spoken remaining time
+ */
+function describeRemaining(seconds) {
+    if (seconds > 5 * 60) return describeMinutes(Math.ceil(seconds / 300) * 5);
+    if (seconds > 60) return describeMinutes(Math.ceil(seconds / 60));
+    if (seconds > 30) return describeMinutes(1);
+    return '30 seconds';
+}
+
+/**
+ * Get the live region message for the current timer state
+ * The text only changes at sensible intervals so the region isn't chatty
+ * @param {object} timer - { status, remaining, elapsed, mode, phase }
+ * @returns {string} Announcement text (empty when nothing to say)
+ */
+export function getTimerAnnouncement({ status, remaining, elapsed = 0, mode = 'countdown', phase = 'focus' }) {
+    const label = phase === 'focus' ? 'Focus' : 'Break';
+
+    if (status === 'completed') {
+        return phase === 'focus' ? 'Focus session complete' : 'Break complete';
+    }
+
+    if (mode === 'flow') {
+        const elapsedText = `${describeMinutes(Math.floor(elapsed / 300) * 5)} elapsed`;
+        if (status === 'running') return `Flow, ${elapsedText}`;
+        if (status === 'paused') return `Flow paused, ${elapsedText}`;
+        return '';
+    }
+
+    if (status === 'running') return `${label}, ${describeRemaining(remaining)} remaining`;
+    if (status === 'paused') return `${label} paused, ${describeRemaining(remaining)} remaining`;
+    return '';
+}
@@ -0,0 +1,82 @@
+import { getStorageItem, setStorageItem, sanitizeKey } from './storage';
+
+/**
+ * App data store
+ * One in-memory copy of each persisted key, written through to localStorage.
+ * Views subscribe to the keys they show and hear about every write right away,
+ * from this tab or, via `storage` events, from any other tab.
+ */
+
+const cache = new Map();     // key -> last known value
+const listeners = new Map(); // key -> Set of callbacks
+let listeningToTabs = false;
+
+function notify(key, origin) {
+    listeners.get(key)?.forEach(listener => listener(origin));
+}
+
+// Another tab wrote localStorage; drop what it changed so the next read picks it up
+function handleStorageEvent(e) {
+    if (e.storageArea && e.storageArea !== window.localStorage) return;
+
+    if (e.key === null) {
+        // Storage was cleared
+        const keys = [...cache.keys()];
+        cache.clear();
+        keys.forEach(key => notify(key, 'tab'));
+        return;
+    }
+
+    new Set([...listeners.keys(), ...cache.keys()]).forEach((key) => {
+        if (sanitizeKey(key) !== e.key) return;
+        cache.delete(key);
+        notify(key, 'tab');
+    });
+}
+
+/**
+ * Current value of a key
+ * The same object is returned until the key is written, so it can be compared by reference
+ * @param {string} key - Storage key
+ * @param {*} defaultValue - Value when nothing is stored
+ * @returns {*} Stored value or default
+ */
+export function getStoreValue(key, defaultValue = null) {
+    if (!cache.has(key)) {
+        cache.set(key, getStorageItem(key, defaultValue));
+    }
+    return cache.get(key);
+}
+
+/**
+ * Replace a key's value and tell its subscribers
+ * Subscribers see the new value even if saving it fails
+ * @param {string} key - Storage key
+ * @param {*} value - New value
+ * @returns {boolean} Whether it was saved
+ */
+export function setStoreValue(key, value) {
+    cache.set(key, value);
+    const saved = setStorageItem(key, value);
+    notify(key, 'local');
+    return saved;
+}
+
+/**
+ * Listen for changes to one key
+ * @param {string} key - Storage key
+ * @param {function} listener - Called after every change with where it came from: 'local' for this tab, 'tab' for another
+ * @returns {function} Unsubscribe
+ */
+export function subscribeToStore(key, listener) {
+    if (!listeningToTabs && typeof window !== 'undefined') {
+        window.addEventListener('storage', handleStorageEvent);
+        listeningToTabs = true;
+    }
+
+    if (!listeners.has(key)) listeners.set(key, new Set());
+    listeners.get(key).add(listener);
+    return () => {
+        listeners.get(key)?.delete(listener);
+    };
+}
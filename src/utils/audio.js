@@ -0,0 +1,44 @@
+/**
+ * Shared Web Audio context
+ * Browsers limit how many contexts a page may open, so every sound
+ * in the app goes through this one
+ */
+
+let sharedContext = null;
+
+/**
+ * Get (and wake) the shared AudioContext
+ * @returns {AudioContext|null} Context, or null if Web Audio is unsupported
+ */
+export function getAudioContext() {
+    if (typeof window === 'undefined') return null;
+
+    if (!sharedContext) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+        sharedContext = new AudioContextClass();
+    }
+
+    // Contexts start suspended until a user gesture
+    if (sharedContext.state === 'suspended') {
+        sharedContext.resume().catch(() => { });
+    }
+
+    return sharedContext;
+}
+
+/**
+ * Smoothly move an AudioParam to a value
+ * @param {AudioParam} param - Param to ramp (e.g. gain.gain)
+ * @param {number} value - Target value
+ * @param {number} seconds - Ramp length
+ */
+export function rampTo(param, value, seconds) {
+    const ctx = getAudioContext();
+    if (!ctx) return;
+
+    const now = ctx.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    param.linearRampToValueAtTime(value, now + Math.max(0.01, seconds));
+}
@@ -0,0 +1,98 @@
+import { getAudioContext } from './audio';
+
+/**
+ * Synthesized chime library
+ * Each chime is a handful of decaying partials, no audio files needed
+ */
+
+export const CHIMES = [
+    { id: 'none', label: 'None' },
+    { id: 'bowl', label: 'Bowl' },
+    { id: 'bell', label: 'Bell' },
+    { id: 'woodblock', label: 'Wood' },
+    { id: 'digital', label: 'Digital' },
+];
+
+/**
+ * Partials per chime: frequency (Hz), relative gain, decay (s), start offset (s)
+ */
+const CHIME_PARTIALS = {
+    // Singing bowl: low fundamental with inharmonic overtones and long ring
+    bowl: [
+        { freq: 220, gain: 0.6, decay: 5, offset: 0 },
+        { freq: 220 * 2.76, gain: 0.25, decay: 3.5, offset: 0 },
+        { freq: 220 * 5.4, gain: 0.1, decay: 2, offset: 0 },
+    ],
+    // Small bell: bright, mostly harmonic, medium decay
+    bell: [
+        { freq: 880, gain: 0.5, decay: 2, offset: 0 },
+        { freq: 880 * 2, gain: 0.2, decay: 1.2, offset: 0 },
+        { freq: 880 * 3, gain: 0.1, decay: 0.8, offset: 0 },
+    ],
+    // Woodblock: very short knock
+    woodblock: [
+        { freq: 800, gain: 0.7, decay: 0.12, offset: 0 },
+        { freq: 1600, gain: 0.2, decay: 0.06, offset: 0 },
+    ],
+    // Soft digital: two gentle beeps
+    digital: [
+        { freq: 880, gain: 0.35, decay: 0.25, offset: 0 },
+        { freq: 1320, gain: 0.35, decay: 0.3, offset: 0.2 },
+    ],
+};
+
+/**
+ * Play a chime
+ * @param {string} id - Chime id from CHIMES
+ * @param {number} volume - Volume 0-1
+ */
+export function playChime(id, volume = 0.6) {
+    const partials = CHIME_PARTIALS[id];
+    if (!partials || volume <= 0) return;
+
+    try {
+        const ctx = getAudioContext();
+        if (!ctx) return;
+
+        const now = ctx.currentTime;
+        partials.forEach(({ freq, gain, decay, offset }) => {
+            const oscillator = ctx.createOscillator();
+            const gainNode = ctx.createGain();
+            const start = now + offset;
+
+            oscillator.type = 'sine';
+            oscillator.frequency.value = freq;
+
+            // Quick attack avoids clicks, exponential tail sounds natural
+            gainNode.gain.setValueAtTime(0.0001, start);
+            gainNode.gain.exponentialRampToValueAtTime(gain * volume, start + 0.01);
+            gainNode.gain.exponentialRampToValueAtTime(0.0001, start + decay);
+
+            oscillator.connect(gainNode);
+            gainNode.connect(ctx.destination);
+            oscillator.start(start);
+            oscillator.stop(start + decay + 0.05);
+        });
+    } catch {
+        // Audio not supported, fail silently
+    }
+}
+
+/**
+ * List the interval bells a session has already passed
+ * @param {object} session - { passed, remaining, duration, mode, intervalMode, intervalMinutes }
+ *   passed/remaining/duration in seconds; intervalMode is every | milestones
+ * @returns {string[]} Ids of passed bell marks
+ */
+export function getPassedBells({ passed, remaining, duration, mode, intervalMode, intervalMinutes }) {
+    if (intervalMode === 'every' || mode === 'flow') {
+        const count = Math.floor(passed / (intervalMinutes * 60));
+        return Array.from({ length: count }, (_, i) => `every-${i + 1}`);
+    }
+
+    const marks = [];
+    if (passed >= duration / 2) marks.push('halfway');
+    // Only meaningful when the session is long enough to have a "5 left"
+    if (duration > 10 * 60 && remaining <= 5 * 60) marks.push('five-left');
+    return marks;
+}
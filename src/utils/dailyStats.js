@@ -0,0 +1,207 @@
+import { getLocalDateKey, parseDateKey, addDays } from './localDate';
+
+/**
+ * Per-day focus aggregates keyed by local date (YYYY-MM-DD)
+ * Replaces the old weekday-indexed weeklyData array, which never reset
+ *
+ * Only recent days are kept in focus_stats, each with just its non-zero fields
+ * (getDay fills the rest back in). Session history in IndexedDB holds every record,
+ * so older days are rebuilt from it when a view needs them.
+ */
+
+export const STATS_VERSION = 3;
+
+/**
+ * Days kept in focus_stats: this and last week, goals and the insights comparison
+ */
+export const RECENT_DAY_COUNT = 35;
+
+const EMPTY_DAY = {
+    focusSeconds: 0,
+    sessionsStarted: 0,
+    sessionsCompleted: 0,
+    breaks: 0,
+    breakSeconds: 0,
+    sessionsAbandoned: 0,
+    abandonedSeconds: 0, // Focused time in sessions cancelled before the end
+    tasks: {}, // Focus seconds per linked todo id
+};
+
+/**
+ * Minutes at which a heatmap day moves up a shade
+ */
+const HEAT_THRESHOLDS = [1, 30, 60, 120];
+
+/**
+ * Aggregates for one day, zeroed when nothing was recorded
+ * @param {object} daily - Date-keyed aggregates
+ * @param {string} key - Date key
+ * @returns {object} { focusSeconds, sessionsStarted, sessionsCompleted, breaks, breakSeconds, sessionsAbandoned,
+ * abandonedSeconds, tasks }
+ */
+export function getDay(daily, key) {
+    return { ...EMPTY_DAY, ...(daily?.[key] || {}) };
+}
+
+/**
+ * Focus time a day is credited with
+ * @param {object} day - From getDay
+ * @param {boolean} countPartial - Include time from abandoned sessions
+ * @returns {number} Seconds
+ */
+export function getFocusSeconds(day, countPartial = false) {
+    return day.focusSeconds + (countPartial ? day.abandonedSeconds : 0);
+}
+
+/**
+ * A day as stored: zero counts and an empty task map are left out
+ * @param {object} day - Day aggregates
+ * @returns {object} Compact day
+ */
+function compactDay(day) {
+    const compact = {};
+    Object.entries(day).forEach(([field, value]) => {
+        if (field === 'tasks') {
+            const tasks = Object.fromEntries(Object.entries(value || {}).filter(([, seconds]) => seconds));
+            if (Object.keys(tasks).length > 0) compact.tasks = tasks;
+        } else if (value) {
+            compact[field] = value;
+        }
+    });
+    return compact;
+}
+
+/**
+ * Store a day's aggregates, dropping the day once nothing is left in it
+ */
+function putDay(daily, key, day) {
+    const compact = compactDay(day);
+    if (Object.keys(compact).length > 0) return { ...daily, [key]: compact };
+    const { [key]: _removed, ...rest } = daily || {};
+    return rest;
+}
+
+/**
+ * Add counts to a day's aggregates
+ * @param {object} daily - Date-keyed aggregates
+ * @param {string} key - Date key
+ * @param {object} delta - Fields to add, e.g. { focusSeconds: 1500, sessionsCompleted: 1 }
+ * @returns {object} New aggregates
+ */
+export function addToDay(daily, key, delta) {
+    const day = getDay(daily, key);
+    Object.entries(delta).forEach(([field, amount]) => {
+        day[field] = (day[field] || 0) + amount;
+    });
+    return putDay(daily, key, day);
+}
+
+/**
+ * Add focus time for a linked todo to a day
+ * @param {object} daily - Date-keyed aggregates
+ * @param {string} key - Date key
+ * @param {string} taskId - Todo id
+ * @param {number} seconds - Focus seconds
+ * @returns {object} New aggregates
+ */
+export function addTaskToDay(daily, key, taskId, seconds) {
+    const day = getDay(daily, key);
+    return putDay(daily, key, { ...day, tasks: { ...day.tasks, [taskId]: (day.tasks[taskId] || 0) + seconds } });
+}
+
+/**
+ * Count one session history record into the day it happened
+ * @param {object} daily - Date-keyed aggregates
+ * @param {object} entry - { type: start | complete | abandoned | break, timestamp, duration, taskId? }
+ * @returns {object} New aggregates
+ */
+export function addRecordToDay(daily, entry) {
+    if (!entry?.timestamp) return daily;
+    const key = getLocalDateKey(entry.timestamp);
+    const seconds = entry.duration || 0;
+    if (entry.type === 'start') {
+        return addToDay(daily, key, { sessionsStarted: 1 });
+    }
+    if (entry.type === 'complete') {
+        const next = addToDay(daily, key, { sessionsCompleted: 1, focusSeconds: seconds });
+        return entry.taskId ? addTaskToDay(next, key, entry.taskId, seconds) : next;
+    }
+    if (entry.type === 'abandoned') {
+        return addToDay(daily, key, { sessionsAbandoned: 1, abandonedSeconds: seconds });
+    }
+    if (entry.type === 'break') {
+        return addToDay(daily, key, { breaks: 1, breakSeconds: seconds });
+    }
+    return daily;
+}
+
+/**
+ * Drop days older than the recent window before saving
+ * @param {object} daily - Date-keyed aggregates
+ * @param {string} today - Current focus day
+ * @returns {object} Aggregates for the last RECENT_DAY_COUNT days
+ */
+export function pruneDaily(daily, today = getLocalDateKey()) {
+    const oldest = addDays(today, -(RECENT_DAY_COUNT - 1));
+    return Object.fromEntries(Object.entries(daily || {}).filter(([key]) => key >= oldest));
+}
+
+/**
+ * Daily aggregates rebuilt from history records, with stored days on top since
+ * those are the ones kept up to date as sessions are recorded
+ * @param {object[]} records - Session history records
+ * @param {object} stored - Date-keyed aggregates from focus_stats
+ * @returns {object} Date-keyed aggregates
+ */
+export function buildDaily(records, stored = {}) {
+    return { ...records.reduce(addRecordToDay, {}), ...stored };
+}
+
+/**
+ * Date keys for the Sunday-to-Saturday week, offset from the current one
+ * @param {number} weekOffset - 0 for this week, -1 for last week, ...
+ * @param {Date} today - Reference day
+ * @returns {string[]} Seven date keys
+ */
+export function getWeekKeys(weekOffset = 0, today = new Date()) {
+    const todayKey = getLocalDateKey(today);
+    const startKey = addDays(todayKey, (weekOffset * 7) - parseDateKey(todayKey).getDay());
+    return Array.from({ length: 7 }, (_, i) => addDays(startKey, i));
+}
+
+/**
+ * Bring a stored focus_stats object up to the date-keyed shape
+ * Old weeklyData can't be placed in a specific week, so days are rebuilt from history;
+ * days saved before compaction are compacted
+ * @param {object} stored - focus_stats as saved
+ * @returns {object} Stats with `daily` and no weeklyData
+ */
+export function migrateStats(stored) {
+    if (!stored || stored.version >= STATS_VERSION) return stored;
+
+    const daily = stored.version >= 2
+        ? Object.entries(stored.daily || {}).reduce((days, [key, day]) => putDay(days, key, day), {})
+        : (stored.history || []).reduce(addRecordToDay, {});
+
+    const { weeklyData: _weeklyData, ...rest } = stored;
+    return { ...rest, daily, version: STATS_VERSION };
+}
+
+/**
+ * Week columns for a year heatmap, oldest first, ending with the current week
+ * @param {number} weeks - Number of columns
+ * @param {Date} today - Reference day
+ * @returns {string[][]} Columns of seven date keys (Sunday first)
+ */
+export function getHeatmapWeeks(weeks = 53, today = new Date()) {
+    return Array.from({ length: weeks }, (_, i) => getWeekKeys(i - weeks + 1, today));
+}
+
+/**
+ * Shade for a day's focus minutes, 0 (none) to 4
+ * @param {number} minutes - Focus minutes
+ * @returns {number} Level
+ */
+export function getHeatLevel(minutes) {
+    return HEAT_THRESHOLDS.filter(threshold => minutes >= threshold).length;
+}
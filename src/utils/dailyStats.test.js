@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { RECENT_DAY_COUNT, getDay, pruneDaily, buildDaily } from './dailyStats';
+import { addDays } from './localDate';
+
+// Local time, so the tests hold in any timezone
+function at(day, hour) {
+    return new Date(2026, 9, day, hour).toISOString();
+}
+
+describe('pruneDaily', () => {
+    it('keeps only the recent window', () => {
+        const today = '2026-10-19';
+        const oldest = addDays(today, -(RECENT_DAY_COUNT - 1));
+        const daily = {
+            [today]: { focusSeconds: 600 },
+            [oldest]: { focusSeconds: 300 },
+            [addDays(oldest, -1)]: { focusSeconds: 900 },
+            '2025-01-01': { breaks: 1 },
+        };
+        expect(Object.keys(pruneDaily(daily, today)).sort()).toEqual([oldest, today]);
+        expect(pruneDaily(undefined, today)).toEqual({});
+    });
+});
+
+describe('buildDaily', () => {
+    const records = [
+        { type: 'start', timestamp: at(12, 9), duration: 1500 },
+        { type: 'complete', timestamp: at(12, 10), duration: 1500, taskId: 't1' },
+        { type: 'break', timestamp: at(12, 11), duration: 300 },
+        { type: 'abandoned', timestamp: at(18, 9), duration: 600 },
+    ];
+
+    it('rebuilds days from history records', () => {
+        const daily = buildDaily(records);
+        expect(getDay(daily, '2026-10-12')).toMatchObject({
+            sessionsStarted: 1, sessionsCompleted: 1, focusSeconds: 1500, breaks: 1, breakSeconds: 300, tasks: { t1: 1500 },
+        });
+        expect(getDay(daily, '2026-10-18')).toMatchObject({ sessionsAbandoned: 1, abandonedSeconds: 600 });
+    });
+
+    it('prefers stored days over rebuilt ones', () => {
+        const daily = buildDaily(records, { '2026-10-18': { focusSeconds: 60 } });
+        expect(daily['2026-10-18']).toEqual({ focusSeconds: 60 });
+        expect(getDay(daily, '2026-10-12').focusSeconds).toBe(1500);
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Canvas-drawn favicon mirroring TimerCircle's progress ring
+ * Lets a background tab show how far along the session is
+ */
+
+const SIZE = 64;
+const TRACK_COLOR = '#E0E0E0';
+const ARC_COLOR = '#1A1A1A';
+
+let canvas = null;
+let originalIcon = null;
+
+function getIconLink() {
+    let link = document.querySelector('link[rel="icon"]');
+    if (!link) {
+        link = document.createElement('link');
+        link.rel = 'icon';
+        document.head.appendChild(link);
+    }
+    return link;
+}
+
+/**
+ * Render the ring as a PNG data URL
+ * @param {object} options - { progress, paused, flash }
+ * progress is the 0-1 fraction of the ring to fill, clockwise from the top
+ * @returns {string|null} Data URL, or null when canvas isn't available
+ */
+export function drawTimerFavicon({ progress = 0, paused = false, flash = false }) {
+    if (!canvas) canvas = document.createElement('canvas');
+    canvas.width = SIZE;
+    canvas.height = SIZE;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
+
+    const center = SIZE / 2;
+    const r = SIZE / 2 - 6;
+    ctx.clearRect(0, 0, SIZE, SIZE);
+
+    // Completion flash: solid disc
+    if (flash) {
+        ctx.fillStyle = ARC_COLOR;
+        ctx.beginPath();
+        ctx.arc(center, center, r + 4, 0, 2 * Math.PI);
+        ctx.fill();
+        return canvas.toDataURL('image/png');
+    }
+
+    ctx.lineWidth = 8;
+    ctx.strokeStyle = TRACK_COLOR;
+    ctx.beginPath();
+    ctx.arc(center, center, r, 0, 2 * Math.PI);
+    ctx.stroke();
+
+    const fraction = Math.max(0, Math.min(1, progress));
+    if (fraction > 0) {
+        ctx.lineWidth = 10;
+        ctx.lineCap = 'round';
+        ctx.strokeStyle = ARC_COLOR;
+        ctx.beginPath();
+        ctx.arc(center, center, r, -Math.PI / 2, -Math.PI / 2 + fraction * 2 * Math.PI);
+        ctx.stroke();
+    }
+
+    // Pause bars in the middle
+    if (paused) {
+        ctx.fillStyle = ARC_COLOR;
+        ctx.fillRect(center - 11, center - 12, 8, 24);
+        ctx.fillRect(center + 3, center - 12, 8, 24);
+    }
+
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Swap the page favicon, remembering the original to restore later
+ * @param {string} href - Icon URL
+ */
+export function setFavicon(href) {
+    if (!href) return;
+    const link = getIconLink();
+    if (!originalIcon) {
+        originalIcon = { href: link.getAttribute('href'), type: link.getAttribute('type') };
+    }
+    link.type = 'image/png';
+    link.href = href;
+}
+
+/**
+ * Put back the favicon from index.html
+ */
+export function restoreFavicon() {
+    if (!originalIcon) return;
+    const link = getIconLink();
+    if (originalIcon.type) link.type = originalIcon.type;
+    else link.removeAttribute('type');
+    link.setAttribute('href', originalIcon.href);
+    originalIcon = null;
+}
@@ -0,0 +1,256 @@
+import { getLocalDateKey, getDayStart, addDays } from './localDate';
+import { MAX_INTENTION_LENGTH, MAX_NOTE_LENGTH } from './reflections';
+import { buildDaily } from './dailyStats';
+
+/**
+ * Focus data export and import
+ * CSV has one row per session for reporting; JSON is a full dump that can be imported again
+ */
+
+export const EXPORT_FORMAT = 'zen-timer-focus';
+export const EXPORT_VERSION = 1;
+
+const MAX_IMPORT_LENGTH = 5000000; // ~5 MB of JSON
+const RECORD_TYPES = ['start', 'complete', 'abandoned', 'break'];
+
+const CSV_COLUMNS = [
+    { key: 'start', label: 'Start' },
+    { key: 'end', label: 'End' },
+    { key: 'type', label: 'Type' },
+    { key: 'mode', label: 'Mode' },
+    { key: 'plannedMinutes', label: 'Planned (min)' },
+    { key: 'actualMinutes', label: 'Actual (min)' },
+    { key: 'completed', label: 'Completed' },
+    { key: 'pausedWhenAbandoned', label: 'Paused When Abandoned' },
+    { key: 'task', label: 'Task' },
+    { key: 'intention', label: 'Intention' },
+    { key: 'rating', label: 'Rating' },
+    { key: 'note', label: 'Note' },
+    { key: 'sessionId', label: 'Session ID' },
+];
+
+/**
+ * Moments bounding an inclusive range of focus days
+ * @param {string} fromKey - First day (YYYY-MM-DD), empty for all time
+ * @param {string} toKey - Last day (YYYY-MM-DD), empty for today
+ * @returns {object} { from, to } with `to` exclusive
+ */
+export function getExportRange(fromKey, toKey) {
+    return {
+        from: fromKey ? getDayStart(fromKey) : new Date(0),
+        to: getDayStart(addDays(toKey || getLocalDateKey(), 1)),
+    };
+}
+
+function toMinutes(seconds) {
+    return typeof seconds === 'number' ? Math.round(seconds / 6) / 10 : null;
+}
+
+function shiftIso(timestamp, seconds) {
+    return new Date(new Date(timestamp).getTime() - (seconds || 0) * 1000).toISOString();
+}
+
+/**
+ * Pair start records with their completion or abandonment into one row per session, oldest first
+ * @param {object[]} records - History records in any order
+ * @param {object} taskNames - Todo id to title
+ * @returns {object[]} Rows keyed like CSV_COLUMNS
+ */
+export function buildSessionRows(records, taskNames = {}) {
+    const sessions = new Map();
+    const rows = [];
+
+    records.forEach((record) => {
+        if (record.type === 'break') {
+            rows.push({
+                start: shiftIso(record.timestamp, record.duration),
+                end: record.timestamp,
+                type: record.phase === 'longBreak' ? 'long break' : 'short break',
+                mode: 'countdown',
+                plannedMinutes: toMinutes(record.duration),
+                actualMinutes: toMinutes(record.duration),
+                completed: true,
+            });
+            return;
+        }
+        if (!['start', 'complete', 'abandoned'].includes(record.type)) return;
+        const key = record.sessionId || record.id;
+        sessions.set(key, { ...sessions.get(key), [record.type]: record });
+    });
+
+    sessions.forEach(({ start, complete, abandoned }, key) => {
+        const end = complete || abandoned;
+        const first = start || end;
+        const taskId = first.taskId || end?.taskId;
+        rows.push({
+            start: start ? start.timestamp : shiftIso(end.timestamp, end.duration),
+            end: end?.timestamp ?? null,
+            type: 'focus',
+            mode: first.mode || 'countdown',
+            plannedMinutes: toMinutes(start?.duration ?? abandoned?.planned),
+            actualMinutes: toMinutes(end?.duration),
+            completed: Boolean(complete),
+            pausedWhenAbandoned: abandoned ? Boolean(abandoned.paused) : null,
+            task: taskId ? (taskNames[taskId] || taskId) : null,
+            intention: first.intention ?? complete?.intention ?? null,
+            rating: complete?.rating ?? null,
+            note: complete?.note ?? null,
+            sessionId: first.sessionId ? key : null,
+        });
+    });
+
+    return rows.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// Quote when needed and defuse values a spreadsheet would run as a formula
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows as CSV text with a header line
+ * @param {object[]} rows - From buildSessionRows
+ * @returns {string} CSV
+ */
+export function toCsv(rows) {
+    const lines = [
+        CSV_COLUMNS.map(column => csvCell(column.label)).join(','),
+        ...rows.map(row => CSV_COLUMNS.map(column => csvCell(row[column.key])).join(',')),
+    ];
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Full JSON dump of stats and history for a range
+ * @param {object} stats - focus_stats aggregates
+ * @param {object[]} records - History records in the range
+ * @param {string} fromKey - First day, empty for all time
+ * @param {string} toKey - Last day, empty for today
+ * @returns {object} Export document
+ */
+export function buildJsonExport(stats, records, fromKey, toKey) {
+    const inRange = key => (!fromKey || key >= fromKey) && (!toKey || key <= toKey);
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        range: { from: fromKey || null, to: toKey || null },
+        stats: {
+            ...stats,
+            // focus_stats only keeps recent days, so older ones come from the records
+            daily: Object.fromEntries(Object.entries(buildDaily(records, stats.daily)).filter(([key]) => inRange(key))),
+        },
+        sessions: records,
+    };
+}
+
+function optionalString(value, maxLength) {
+    return typeof value === 'string' && value ? value.slice(0, maxLength) : null;
+}
+
+// Keep only known fields with the expected types
+function sanitizeRecord(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (!RECORD_TYPES.includes(raw.type)) return null;
+    if (typeof raw.timestamp !== 'string' || Number.isNaN(Date.parse(raw.timestamp))) return null;
+    if (typeof raw.duration !== 'number' || !Number.isFinite(raw.duration) || raw.duration < 0) return null;
+    const id = optionalString(raw.id, 64);
+    if (!id) return null;
+
+    const record = {
+        id,
+        type: raw.type,
+        duration: Math.round(raw.duration),
+        timestamp: new Date(raw.timestamp).toISOString(),
+        completed: raw.type === 'complete' || raw.type === 'break',
+    };
+    if (raw.type === 'break') {
+        return { ...record, phase: raw.phase === 'longBreak' ? 'longBreak' : 'shortBreak' };
+    }
+
+    return {
+        ...record,
+        taskId: optionalString(raw.taskId, 64),
+        mode: raw.mode === 'flow' ? 'flow' : 'countdown',
+        sessionId: optionalString(raw.sessionId, 64),
+        intention: optionalString(raw.intention, MAX_INTENTION_LENGTH),
+        ...(raw.type !== 'start' && {
+            interruptions: Array.isArray(raw.interruptions)
+                ? raw.interruptions.filter(i => i && typeof i.duration === 'number').map(({ kind, reason, duration }) => ({
+                    kind: optionalString(kind, 32),
+                    reason: optionalString(reason, 32),
+                    duration,
+                }))
+                : [],
+        }),
+        ...(raw.type === 'abandoned' && {
+            planned: typeof raw.planned === 'number' && Number.isFinite(raw.planned) && raw.planned >= 0
+                ? Math.round(raw.planned)
+                : 0,
+            paused: raw.paused === true,
+            reason: raw.reason === 'stop' ? 'stop' : 'cancel',
+        }),
+        ...(raw.type === 'complete' && {
+            rating: Number.isInteger(raw.rating) && raw.rating >= 1 && raw.rating <= 5 ? raw.rating : null,
+            note: optionalString(raw.note, MAX_NOTE_LENGTH),
+            leaves: Number.isInteger(raw.leaves) && raw.leaves >= 0 ? raw.leaves : 0,
+            broken: raw.broken === true,
+        }),
+    };
+}
+
+/**
+ * Read history records out of an exported JSON file
+ * @param {string} text - File contents
+ * @returns {object} { records, skipped } where skipped counts malformed entries
+ * @throws {Error} When the file is not a focus export
+ */
+export function parseJsonImport(text) {
+    if (typeof text !== 'string' || text.length > MAX_IMPORT_LENGTH) {
+        throw new Error('File is too large to import');
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('File is not valid JSON');
+    }
+
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.sessions)) {
+        throw new Error('File is not a Zen focus export');
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw new Error('File was exported by a newer version');
+    }
+
+    const records = data.sessions.map(sanitizeRecord).filter(Boolean);
+    return { records, skipped: data.sessions.length - records.length };
+}
+
+/**
+ * File name for an export, e.g. zen-focus-2024-01-01-to-2024-01-31.csv
+ */
+export function getExportFilename(extension, fromKey, toKey) {
+    return `zen-focus-${fromKey || 'all'}-to-${toKey || getLocalDateKey()}.${extension}`;
+}
+
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} filename - Suggested name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
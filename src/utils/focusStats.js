@@ -0,0 +1,120 @@
+import { getStoreValue, setStoreValue } from './appStore';
+import { STATS_VERSION, addRecordToDay, migrateStats, pruneDaily } from './dailyStats';
+import { importSessionRecords, mergeSessionRecords } from './sessionHistory';
+
+/**
+ * Focus stats in the app store: running totals plus date-keyed daily aggregates
+ * Shared by the stats view and the hooks that record sessions
+ */
+
+// Stats storage key
+export const STATS_KEY = 'focus_stats';
+
+// Get default stats structure
+export function getDefaultStats() {
+    return {
+        totalFocusTime: 0,
+        sessionsCompleted: 0,
+        sessionsStarted: 0,
+        currentStreak: 0,
+        longestStreak: 0,
+        daily: {}, // { 'YYYY-MM-DD': { focusSeconds, sessionsStarted, sessionsCompleted, breaks, breakSeconds,
+        // sessionsAbandoned, abandonedSeconds, tasks } } by local date, recent days only (see pruneDaily)
+        version: STATS_VERSION,
+        lastSessionDate: null,
+        lastGoalDate: null, // Last day the daily goal was met
+        streakFreezes: 0, // Banked freezes, each covering one missed day
+        breaksCompleted: 0,
+        totalBreakTime: 0,
+        taskFocusTime: {}, // Focus seconds per todo id
+        sessionsBroken: 0, // Lock-mode sessions left too many times
+        sessionsAbandoned: 0, // Focus sessions cancelled before the end
+        totalAbandonedTime: 0, // Focused seconds in those sessions, kept out of totalFocusTime
+        earlyBirdSessions: 0, // Completed sessions started 4-7 AM
+        nightOwlSessions: 0, // Completed sessions started 10 PM-4 AM
+        cyclesCompleted: 0, // Pomodoro cycles finished with their long break
+        breathingSeconds: 0, // Time spent in breathing exercises
+        // Per-session records ({ id, type, duration, timestamp, completed, phase?, taskId?, mode?, interruptions?,
+        // sessionId?, intention?, rating?, note?, leaves?, broken?, planned?, paused?, reason? }) live in IndexedDB,
+        // see utils/sessionHistory
+    };
+}
+
+// Read stats, upgrading older saves to the date-keyed shape
+export function readStats() {
+    const stored = getStoreValue(STATS_KEY);
+    return stored ? migrateStats(stored) : null;
+}
+
+// Stats as the view shows them, with every field present
+export function toStatsView(stored) {
+    return { ...getDefaultStats(), ...(stored ? migrateStats(stored) : null) };
+}
+
+// Save stats, keeping only recent days so focus_stats stays small
+export function saveStats(stats) {
+    return setStoreValue(STATS_KEY, { ...stats, daily: pruneDaily(stats.daily) });
+}
+
+// History used to be the last 100 entries inside focus_stats; move it to IndexedDB once
+let historyMigration = null;
+export function migrateStoredHistory() {
+    if (!historyMigration) {
+        historyMigration = (async () => {
+            const history = readStats()?.history;
+            if (!Array.isArray(history)) return;
+            if (await importSessionRecords(history)) {
+                const { history: _history, ...rest } = readStats();
+                saveStats(rest);
+            } else {
+                historyMigration = null;
+            }
+        })();
+    }
+    return historyMigration;
+}
+
+/**
+ * Merge imported history records and count the new ones into the aggregates
+ * Streaks are left alone; they only follow sessions recorded live
+ * @param {object[]} records - Validated records from parseJsonImport
+ * @returns {Promise<object[]|null>} Records added, or null on failure
+ */
+export async function importSessions(records) {
+    await migrateStoredHistory();
+    const added = await mergeSessionRecords(records);
+    if (!added?.length) return added;
+
+    const stored = readStats() || getDefaultStats();
+    const totals = { ...stored, taskFocusTime: { ...(stored.taskFocusTime || {}) } };
+    added.forEach((record) => {
+        if (record.type === 'start') {
+            totals.sessionsStarted = (totals.sessionsStarted || 0) + 1;
+        } else if (record.type === 'complete') {
+            totals.sessionsCompleted = (totals.sessionsCompleted || 0) + 1;
+            totals.totalFocusTime = (totals.totalFocusTime || 0) + record.duration;
+            totals.sessionsBroken = (totals.sessionsBroken || 0) + (record.broken ? 1 : 0);
+            if (record.taskId) {
+                totals.taskFocusTime[record.taskId] = (totals.taskFocusTime[record.taskId] || 0) + record.duration;
+            }
+        } else if (record.type === 'abandoned') {
+            totals.sessionsAbandoned = (totals.sessionsAbandoned || 0) + 1;
+            totals.totalAbandonedTime = (totals.totalAbandonedTime || 0) + record.duration;
+        } else if (record.type === 'break') {
+            totals.breaksCompleted = (totals.breaksCompleted || 0) + 1;
+            totals.totalBreakTime = (totals.totalBreakTime || 0) + record.duration;
+        }
+    });
+
+    saveStats({ ...totals, daily: added.reduce(addRecordToDay, stored.daily || {}) });
+    return added;
+}
+
+// Streak as saved; goal streaks count from the last day the goal was met
+export function getSavedStreak(stats, settings) {
+    return {
+        current: stats.currentStreak || 0,
+        lastDate: settings.goalStreaks && settings.dailyGoal ? stats.lastGoalDate : stats.lastSessionDate,
+        freezes: stats.streakFreezes || 0,
+    };
+}
@@ -0,0 +1,32 @@
+/**
+ * Fullscreen helpers for lock mode
+ * Browsers only allow entering from a user gesture, so call enterFullscreen from event handlers
+ */
+
+/**
+ * Enter fullscreen on the whole document
+ * @returns {Promise<boolean>} Whether fullscreen was entered
+ */
+export async function enterFullscreen() {
+    const el = document.documentElement;
+    if (document.fullscreenElement || !el.requestFullscreen) return false;
+    try {
+        await el.requestFullscreen();
+        return true;
+    } catch {
+        // Denied or not supported (e.g. iOS Safari); lock mode still works without it
+        return false;
+    }
+}
+
+/**
+ * Leave fullscreen if we're in it
+ */
+export async function exitFullscreen() {
+    if (!document.fullscreenElement || !document.exitFullscreen) return;
+    try {
+        await document.exitFullscreen();
+    } catch {
+        // Already left
+    }
+}
@@ -0,0 +1,63 @@
+import { getLocalDateKey } from './localDate';
+import { getDay, getFocusSeconds, getWeekKeys } from './dailyStats';
+
+/**
+ * Daily and weekly focus goals, measured against the date-keyed aggregates
+ * Goals count focus minutes or completed sessions; a target of 0 means no goal
+ * Minutes include time from abandoned sessions when the countPartialTime setting is on
+ */
+
+export const GOAL_UNITS = ['minutes', 'sessions'];
+
+function getAmount(day, unit, countPartial) {
+    return unit === 'sessions' ? day.sessionsCompleted : Math.floor(getFocusSeconds(day, countPartial) / 60);
+}
+
+/**
+ * Progress towards a target over one or more days
+ * @param {object} daily - Date-keyed aggregates
+ * @param {string[]} keys - Days that count towards the goal
+ * @param {string} unit - minutes | sessions
+ * @param {number} target - Goal amount, 0 for none
+ * @param {boolean} countPartial - Count minutes from abandoned sessions
+ * @returns {object|null} { value, target, unit, ratio, met }, or null without a goal
+ */
+export function getGoalProgress(daily, keys, unit, target, countPartial = false) {
+    if (!target) return null;
+    const value = keys.reduce((sum, key) => sum + getAmount(getDay(daily, key), unit, countPartial), 0);
+    return { value, target, unit, ratio: Math.min(value / target, 1), met: value >= target };
+}
+
+/**
+ * Progress towards the daily goal
+ * @param {object} daily - Date-keyed aggregates
+ * @param {object} settings - Timer settings ({ goalUnit, dailyGoal, countPartialTime })
+ * @param {string} key - Day to measure (defaults to today)
+ */
+export function getDailyGoalProgress(daily, settings, key = getLocalDateKey()) {
+    return getGoalProgress(daily, [key], settings.goalUnit, settings.dailyGoal, settings.countPartialTime);
+}
+
+/**
+ * Progress towards the weekly goal
+ * @param {object} daily - Date-keyed aggregates
+ * @param {object} settings - Timer settings ({ goalUnit, weeklyGoal, countPartialTime })
+ * @param {string[]} weekKeys - Sunday-to-Saturday keys (defaults to this week)
+ */
+export function getWeeklyGoalProgress(daily, settings, weekKeys = getWeekKeys(0)) {
+    return getGoalProgress(daily, weekKeys, settings.goalUnit, settings.weeklyGoal, settings.countPartialTime);
+}
+
+/**
+ * Goal amount as shown next to a ring
+ * @param {number} value - Minutes or sessions
+ * @param {string} unit - minutes | sessions
+ * @returns {string} e.g. "1h 30m" or "4 sessions"
+ */
+export function formatGoalAmount(value, unit) {
+    if (unit === 'sessions') return `${value} ${value === 1 ? 'session' : 'sessions'}`;
+    const hours = Math.floor(value / 60);
+    const mins = value % 60;
+    if (hours > 0) return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
+    return `${mins}m`;
+}
@@ -0,0 +1,251 @@
+import { getLocalDateKey, parseDateKey, addDays } from './localDate';
+import { getDay } from './dailyStats';
+import { formatGoalAmount } from './goals';
+
+/**
+ * Productivity insights from session history
+ * Pure functions: history records and daily aggregates in, plain data and sentences out.
+ * The current day and day-start hour are passed in rather than read from settings.
+ */
+
+// Buckets need this many attempts before their completion rate is trusted
+export const MIN_ATTEMPTS = 3;
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const LENGTH_BANDS = [
+    { label: 'up to 15 min', max: 15 * 60 },
+    { label: '16–25 min', max: 25 * 60 },
+    { label: '26–45 min', max: 45 * 60 },
+    { label: '46–60 min', max: 60 * 60 },
+    { label: 'over an hour', max: Infinity },
+];
+
+/**
+ * Focus sessions that were started, with whether each was completed
+ * Starts are paired with their completion or abandonment by sessionId; older completions without a start still count
+ * @param {object[]} records - History records in any order
+ * @returns {object[]} { startedAt, plannedSeconds, actualSeconds, completed }
+ */
+export function getSessionAttempts(records = []) {
+    const sessions = new Map();
+    const attempts = [];
+
+    records.forEach((record) => {
+        if (record.type === 'start' && record.sessionId) {
+            sessions.set(record.sessionId, { ...sessions.get(record.sessionId), start: record });
+        } else if (record.type === 'abandoned' && record.sessionId) {
+            sessions.set(record.sessionId, { ...sessions.get(record.sessionId), abandoned: record });
+        } else if (record.type === 'complete') {
+            if (record.sessionId) {
+                sessions.set(record.sessionId, { ...sessions.get(record.sessionId), complete: record });
+            } else {
+                const startedAt = new Date(new Date(record.timestamp).getTime() - record.duration * 1000);
+                attempts.push({ startedAt, plannedSeconds: record.duration, actualSeconds: record.duration, completed: true });
+            }
+        }
+    });
+
+    sessions.forEach(({ start, complete, abandoned }) => {
+        const end = complete || abandoned;
+        const startedAt = start
+            ? new Date(start.timestamp)
+            : new Date(new Date(end.timestamp).getTime() - end.duration * 1000);
+        attempts.push({
+            startedAt,
+            plannedSeconds: start?.duration ?? (complete ? complete.duration : abandoned.planned),
+            actualSeconds: end?.duration ?? null,
+            completed: Boolean(complete),
+        });
+    });
+
+    return attempts;
+}
+
+function toBucket(label, group) {
+    const completed = group.filter(a => a.completed).length;
+    return {
+        label,
+        started: group.length,
+        completed,
+        rate: group.length > 0 ? completed / group.length : null,
+    };
+}
+
+/**
+ * Completion rate by hour of day the session started
+ * @param {object[]} attempts - From getSessionAttempts
+ * @returns {object[]} 24 buckets { hour, label, started, completed, rate }
+ */
+export function getCompletionByHour(attempts) {
+    return Array.from({ length: 24 }, (_, hour) => ({
+        hour,
+        ...toBucket(formatHourRange(hour), attempts.filter(a => a.startedAt.getHours() === hour)),
+    }));
+}
+
+/**
+ * Completion rate by weekday of the focus day the session started on
+ * @param {object[]} attempts - From getSessionAttempts
+ * @param {number} dayStartHour - Hour focus days begin (0-6)
+ * @returns {object[]} 7 buckets { weekday, label, started, completed, rate }, Sunday first
+ */
+export function getCompletionByWeekday(attempts, dayStartHour = 0) {
+    const weekdayOf = a => parseDateKey(getLocalDateKey(a.startedAt, dayStartHour)).getDay();
+    return WEEKDAYS.map((label, weekday) => ({
+        weekday,
+        ...toBucket(label, attempts.filter(a => weekdayOf(a) === weekday)),
+    }));
+}
+
+/**
+ * Completed and abandoned sessions by planned length
+ * @param {object[]} attempts - From getSessionAttempts
+ * @returns {object[]} Buckets per LENGTH_BANDS { label, started, completed, abandoned, rate }
+ */
+export function getOutcomesByLength(attempts) {
+    return LENGTH_BANDS.map((band, i) => {
+        const min = i === 0 ? 0 : LENGTH_BANDS[i - 1].max;
+        const bucket = toBucket(band.label, attempts.filter(a => a.plannedSeconds > min && a.plannedSeconds <= band.max));
+        return { ...bucket, abandoned: bucket.started - bucket.completed };
+    });
+}
+
+/**
+ * Bucket with the highest (or lowest) completion rate among those with enough data
+ * @param {object[]} buckets - Completion buckets
+ * @param {string} order - 'best' or 'worst'
+ * @returns {object|null} Bucket, or null when none qualifies
+ */
+export function pickBucket(buckets, order = 'best') {
+    const sign = order === 'best' ? 1 : -1;
+    return buckets
+        .filter(b => b.started >= MIN_ATTEMPTS)
+        .reduce((pick, b) => {
+            if (!pick) return b;
+            const diff = sign * (b.rate - pick.rate);
+            return diff > 0 || (diff === 0 && b.started > pick.started) ? b : pick;
+        }, null);
+}
+
+/**
+ * Focus totals for the last `days` days against the `days` before them
+ * @param {object} daily - Date-keyed aggregates
+ * @param {number} days - Period length
+ * @param {string} today - Last day of the current period
+ * @returns {object} { days, current, previous } each { focusSeconds, sessionsStarted, sessionsCompleted }
+ */
+export function comparePeriods(daily, days, today) {
+    const total = (offset) => {
+        const sum = { focusSeconds: 0, sessionsStarted: 0, sessionsCompleted: 0 };
+        for (let i = 0; i < days; i++) {
+            const day = getDay(daily, addDays(today, -(offset + i)));
+            sum.focusSeconds += day.focusSeconds;
+            sum.sessionsStarted += day.sessionsStarted;
+            sum.sessionsCompleted += day.sessionsCompleted;
+        }
+        return sum;
+    };
+    return { days, current: total(0), previous: total(days) };
+}
+
+/**
+ * Relative change between two amounts
+ * @returns {number|null} e.g. 0.25 for +25%, null when there is nothing to compare against
+ */
+export function getChange(current, previous) {
+    return previous > 0 ? (current - previous) / previous : null;
+}
+
+function formatHourRange(hour) {
+    const format = h => `${h % 12 || 12} ${h % 24 < 12 ? 'AM' : 'PM'}`;
+    return `${format(hour)}–${format(hour + 1)}`;
+}
+
+function percent(rate) {
+    return `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Plain-language insight cards
+ * @param {object[]} records - History records covering the analysis window
+ * @param {object} daily - Date-keyed aggregates
+ * @param {string} today - Current focus day
+ * @param {number} dayStartHour - Hour focus days begin (0-6)
+ * @returns {object[]} { id, title, summary, ready } where ready is false while data is too thin
+ */
+export function buildInsights(records, daily, today, dayStartHour = 0) {
+    const attempts = getSessionAttempts(records);
+    const cards = [];
+
+    const bestHour = pickBucket(getCompletionByHour(attempts));
+    cards.push(bestHour ? {
+        id: 'hours',
+        title: 'Best hours',
+        summary: `You complete ${percent(bestHour.rate)} of sessions started ${bestHour.label}, more than any other hour.`,
+        ready: true,
+    } : {
+        id: 'hours',
+        title: 'Best hours',
+        summary: `Start at least ${MIN_ATTEMPTS} sessions in the same hour to see when you focus best.`,
+        ready: false,
+    });
+
+    const weekdays = getCompletionByWeekday(attempts, dayStartHour);
+    const bestDay = pickBucket(weekdays);
+    const worstDay = pickBucket(weekdays, 'worst');
+    cards.push(bestDay ? {
+        id: 'weekdays',
+        title: 'Best days',
+        summary: `${bestDay.label}s are your strongest day, with ${percent(bestDay.rate)} of sessions completed`
+            + (worstDay && worstDay !== bestDay && worstDay.rate < bestDay.rate
+                ? `; ${worstDay.label}s are hardest at ${percent(worstDay.rate)}.`
+                : '.'),
+        ready: true,
+    } : {
+        id: 'weekdays',
+        title: 'Best days',
+        summary: 'A few more weeks of sessions will show which days suit you best.',
+        ready: false,
+    });
+
+    const lengths = getOutcomesByLength(attempts);
+    const sweetSpot = pickBucket(lengths);
+    const hardest = pickBucket(lengths.filter(b => b.abandoned > 0), 'worst');
+    cards.push(sweetSpot ? {
+        id: 'lengths',
+        title: 'Session sweet spot',
+        summary: `Sessions of ${sweetSpot.label} are the ones you finish most (${percent(sweetSpot.rate)})`
+            + (hardest && hardest !== sweetSpot
+                ? `; ${hardest.label} sessions are abandoned most often (${hardest.abandoned} of ${hardest.started}).`
+                : '.'),
+        ready: true,
+    } : {
+        id: 'lengths',
+        title: 'Session sweet spot',
+        summary: 'Try a few different session lengths to find the one you finish most.',
+        ready: false,
+    });
+
+    const { days, current, previous } = comparePeriods(daily, 7, today);
+    const change = getChange(current.focusSeconds, previous.focusSeconds);
+    const focused = formatGoalAmount(Math.floor(current.focusSeconds / 60), 'minutes');
+    let trend;
+    if (change === null) {
+        trend = current.focusSeconds > 0
+            ? `You focused ${focused} in the last ${days} days. Keep going to see how it compares.`
+            : `No focus time in the last ${days} days yet.`;
+    } else if (Math.abs(change) < 0.05) {
+        trend = `You focused ${focused} in the last ${days} days, about the same as the ${days} days before.`;
+    } else {
+        trend = `You focused ${focused} in the last ${days} days, ${change > 0 ? 'up' : 'down'} ${percent(Math.abs(change))} on the ${days} days before.`;
+    }
+    if (current.sessionsStarted > 0 && previous.sessionsStarted > 0) {
+        const rate = current.sessionsCompleted / current.sessionsStarted;
+        const previousRate = previous.sessionsCompleted / previous.sessionsStarted;
+        trend += ` Completion rate ${percent(rate)}, was ${percent(previousRate)}.`;
+    }
+    cards.push({ id: 'trend', title: `Last ${days} days`, summary: trend, ready: change !== null });
+
+    return cards;
+}
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import {
+    MIN_ATTEMPTS, getSessionAttempts, getCompletionByHour, getCompletionByWeekday, getOutcomesByLength,
+    pickBucket, comparePeriods, getChange, buildInsights,
+} from './insights';
+
+// Local time, so the tests hold in any timezone
+function at(day, hour, minute = 0) {
+    return new Date(2026, 9, day, hour, minute).toISOString();
+}
+
+function session(id, day, hour, { planned = 25 * 60, outcome = 'complete', focused = planned } = {}) {
+    const start = { type: 'start', sessionId: id, timestamp: at(day, hour), duration: planned };
+    if (outcome === 'none') return [start];
+    const end = outcome === 'complete'
+        ? { type: 'complete', sessionId: id, timestamp: at(day, hour, 30), duration: focused }
+        : { type: 'abandoned', sessionId: id, timestamp: at(day, hour, 10), duration: focused, planned };
+    return [start, end];
+}
+
+describe('getSessionAttempts', () => {
+    it('pairs starts with their completion or abandonment', () => {
+        const attempts = getSessionAttempts([
+            ...session('a', 12, 9),
+            ...session('b', 12, 14, { outcome: 'abandoned', focused: 600 }),
+            ...session('c', 12, 20, { outcome: 'none' }),
+        ]);
+
+        expect(attempts).toHaveLength(3);
+        const byHour = Object.fromEntries(attempts.map(a => [a.startedAt.getHours(), a]));
+        expect(byHour[9]).toMatchObject({ plannedSeconds: 1500, actualSeconds: 1500, completed: true });
+        expect(byHour[14]).toMatchObject({ plannedSeconds: 1500, actualSeconds: 600, completed: false });
+        expect(byHour[20]).toMatchObject({ plannedSeconds: 1500, actualSeconds: null, completed: false });
+    });
+
+    it('dates completions without a start back by their duration', () => {
+        const [attempt] = getSessionAttempts([{ type: 'complete', timestamp: at(12, 10), duration: 1800 }]);
+        expect(attempt.startedAt.getHours()).toBe(9);
+        expect(attempt.startedAt.getMinutes()).toBe(30);
+        expect(attempt.completed).toBe(true);
+    });
+
+    it('ignores breaks', () => {
+        expect(getSessionAttempts([{ type: 'break', timestamp: at(12, 10), duration: 300 }])).toEqual([]);
+    });
+});
+
+describe('completion buckets', () => {
+    it('groups attempts by start hour', () => {
+        const attempts = getSessionAttempts([
+            ...session('a', 12, 9),
+            ...session('b', 13, 9, { outcome: 'abandoned', focused: 60 }),
+        ]);
+        const nine = getCompletionByHour(attempts)[9];
+        expect(nine).toMatchObject({ label: '9 AM–10 AM', started: 2, completed: 1, rate: 0.5 });
+        expect(getCompletionByHour(attempts)[10].rate).toBeNull();
+    });
+
+    it('files sessions before the day-start hour under the previous day', () => {
+        // Saturday 2 AM
+        const attempts = getSessionAttempts(session('a', 17, 2));
+        expect(getCompletionByWeekday(attempts, 0)[6].started).toBe(1);
+        expect(getCompletionByWeekday(attempts, 4)[5].started).toBe(1);
+        expect(getCompletionByWeekday(attempts, 4)[6].started).toBe(0);
+    });
+
+    it('counts abandoned sessions per planned length band', () => {
+        const attempts = getSessionAttempts([
+            ...session('a', 12, 9, { planned: 10 * 60 }),
+            ...session('b', 12, 10, { planned: 50 * 60, outcome: 'abandoned', focused: 900 }),
+        ]);
+        const [short, , , long] = getOutcomesByLength(attempts);
+        expect(short).toMatchObject({ started: 1, completed: 1, abandoned: 0 });
+        expect(long).toMatchObject({ started: 1, completed: 0, abandoned: 1 });
+    });
+
+    it('only picks buckets with enough attempts', () => {
+        const buckets = [
+            { label: 'thin', started: MIN_ATTEMPTS - 1, completed: MIN_ATTEMPTS - 1, rate: 1 },
+            { label: 'good', started: MIN_ATTEMPTS, completed: MIN_ATTEMPTS - 1, rate: (MIN_ATTEMPTS - 1) / MIN_ATTEMPTS },
+            { label: 'poor', started: MIN_ATTEMPTS, completed: 0, rate: 0 },
+        ];
+        expect(pickBucket(buckets).label).toBe('good');
+        expect(pickBucket(buckets, 'worst').label).toBe('poor');
+        expect(pickBucket(buckets.slice(0, 1))).toBeNull();
+    });
+});
+
+describe('comparePeriods', () => {
+    it('totals the days ending on the given day against the days before', () => {
+        const daily = {
+            '2026-10-19': { focusSeconds: 600, sessionsStarted: 1, sessionsCompleted: 1 },
+            '2026-10-13': { focusSeconds: 300, sessionsStarted: 2 },
+            '2026-10-12': { focusSeconds: 1200, sessionsStarted: 1, sessionsCompleted: 1 },
+            '2026-10-05': { focusSeconds: 9999 },
+        };
+        const { current, previous } = comparePeriods(daily, 7, '2026-10-19');
+        expect(current).toEqual({ focusSeconds: 900, sessionsStarted: 3, sessionsCompleted: 1 });
+        expect(previous).toEqual({ focusSeconds: 1200, sessionsStarted: 1, sessionsCompleted: 1 });
+    });
+
+    it('reports change relative to the previous period', () => {
+        expect(getChange(150, 100)).toBe(0.5);
+        expect(getChange(50, 0)).toBeNull();
+    });
+});
+
+describe('buildInsights', () => {
+    it('asks for more data when history is thin', () => {
+        const cards = buildInsights([], {}, '2026-10-19', 0);
+        expect(cards.map(c => c.id)).toEqual(['hours', 'weekdays', 'lengths', 'trend']);
+        expect(cards.every(c => !c.ready)).toBe(true);
+        expect(cards[3].summary).toBe('No focus time in the last 7 days yet.');
+    });
+
+    it('names the best hour and the focus trend', () => {
+        const records = [9, 10, 11, 12].flatMap(day => session(`s${day}`, day, 8));
+        const daily = {
+            '2026-10-19': { focusSeconds: 3600, sessionsStarted: 2, sessionsCompleted: 2 },
+            '2026-10-11': { focusSeconds: 1800, sessionsStarted: 1, sessionsCompleted: 1 },
+        };
+        const cards = Object.fromEntries(buildInsights(records, daily, '2026-10-19', 0).map(c => [c.id, c]));
+
+        expect(cards.hours.ready).toBe(true);
+        expect(cards.hours.summary).toContain('100% of sessions started 8 AM–9 AM');
+        expect(cards.trend.ready).toBe(true);
+        expect(cards.trend.summary).toContain('up 100% on the 7 days before');
+    });
+
+    it('gives the same cards for the same inputs', () => {
+        const records = session('a', 12, 9);
+        expect(buildInsights(records, {}, '2026-10-19', 3)).toEqual(buildInsights(records, {}, '2026-10-19', 3));
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * Interruption logging helpers
+ * Pauses (with an optional reason) and tab-away distractions during sessions
+ */
+
+export const INTERRUPTION_REASONS = [
+    { id: 'call', label: 'Call' },
+    { id: 'colleague', label: 'Colleague' },
+    { id: 'break', label: 'Break' },
+    { id: 'other', label: 'Other' },
+];
+
+const TAB_AWAY_LABEL = 'Tab away';
+
+/**
+ * Shortest tab-away worth logging (seconds)
+ */
+export const MIN_DISTRACTION_SECONDS = 2;
+
+/**
+ * Human label for an interruption
+ * @param {object} interruption - { kind: pause | tab-away, reason? }
+ * @returns {string} Label
+ */
+export function getInterruptionLabel(interruption) {
+    if (interruption.kind === 'tab-away') return TAB_AWAY_LABEL;
+    const reason = INTERRUPTION_REASONS.find(r => r.id === interruption.reason);
+    return reason ? reason.label : 'Pause';
+}
+
+/**
+ * Count and total duration of a session's interruptions
+ * @param {object[]} interruptions - Logged interruptions
+ * @returns {object} { count, totalSeconds }
+ */
+export function summarizeInterruptions(interruptions = []) {
+    return {
+        count: interruptions.length,
+        totalSeconds: interruptions.reduce((sum, i) => sum + (i.duration || 0), 0),
+    };
+}
+
+/**
+ * Find the most frequent interruption across session history
+ * @param {object[]} history - Session history entries
+ * @returns {object|null} { label, count } or null when none logged
+ */
+export function getMostCommonInterruption(history = []) {
+    const counts = {};
+    history.forEach((session) => {
+        (session.interruptions || []).forEach((interruption) => {
+            const label = getInterruptionLabel(interruption);
+            counts[label] = (counts[label] || 0) + 1;
+        });
+    });
+
+    let best = null;
+    Object.entries(counts).forEach(([label, count]) => {
+        if (!best || count > best.count) best = { label, count };
+    });
+    return best;
+}
@@ -0,0 +1,106 @@
+import { getStoreValue } from './appStore';
+
+/**
+ * Local date keys (YYYY-MM-DD) shared by stats, goals and the calendar
+ * Keys always come from local date parts, never toISOString(), which is UTC.
+ * Focus days can start a few hours after midnight so late-night sessions count
+ * towards the day they belong to; calendar dates are plain calendar days.
+ */
+
+export const MAX_DAY_START_HOUR = 6;
+
+/**
+ * Hour (0-6) at which a new focus day begins, as currently set
+ */
+export function getDayStartHour() {
+    const hour = getStoreValue('settings')?.dayStartHour;
+    return Number.isInteger(hour) && hour >= 0 && hour <= MAX_DAY_START_HOUR ? hour : 0;
+}
+
+/**
+ * Key for a calendar day
+ * @param {number} year - Full year
+ * @param {number} month - 0-11
+ * @param {number} day - Day of month
+ * @returns {string} YYYY-MM-DD
+ */
+export function toDateKey(year, month, day) {
+    return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Calendar date of a moment in local time
+ * @param {Date|string|number} date - Moment to key (defaults to now)
+ * @returns {string} Date key
+ */
+export function getCalendarDateKey(date = new Date()) {
+    const d = new Date(date);
+    return toDateKey(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+/**
+ * Focus day a moment belongs to, honouring the day-start hour
+ * @param {Date|string|number} date - Moment to key (defaults to now)
+ * @param {number} dayStartHour - Hour the focus day begins (defaults to the current setting)
+ * @returns {string} Date key
+ */
+export function getLocalDateKey(date = new Date(), dayStartHour = getDayStartHour()) {
+    const d = new Date(date);
+    d.setHours(d.getHours() - dayStartHour);
+    return toDateKey(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+/**
+ * Parse a date key back into a local Date at midnight
+ * @param {string} key - YYYY-MM-DD
+ * @returns {Date} Local date
+ */
+export function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Moment a focus day begins
+ * @param {string} key - YYYY-MM-DD
+ * @returns {Date} Local midnight plus the day-start hour
+ */
+export function getDayStart(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day, getDayStartHour());
+}
+
+/**
+ * Key a number of days before or after another
+ * @param {string} key - YYYY-MM-DD
+ * @param {number} days - Offset, negative for earlier
+ * @returns {string} Date key
+ */
+export function addDays(key, days) {
+    const date = parseDateKey(key);
+    date.setDate(date.getDate() + days);
+    return getCalendarDateKey(date);
+}
+
+/**
+ * Keys strictly between two days, oldest first
+ * @param {string} fromKey - Earlier day
+ * @param {string} toKey - Later day
+ * @returns {string[]} Date keys
+ */
+export function getDaysBetween(fromKey, toKey) {
+    const days = [];
+    for (let key = addDays(fromKey, 1); key < toKey; key = addDays(key, 1)) {
+        days.push(key);
+    }
+    return days;
+}
+
+/**
+ * Whether a day falls on Saturday or Sunday
+ * @param {string} key - YYYY-MM-DD
+ */
+export function isWeekend(key) {
+    const weekday = parseDateKey(key).getDay();
+    return weekday === 0 || weekday === 6;
+}
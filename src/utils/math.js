@@ -27,14 +27,41 @@ export function getAngleFromCenter(touchX, touchY, centerX, centerY) {
 }
 
 /**
- * Convert angle to minutes (0-60)
- * @param {number} angle - Angle in radians
- * @param {number} maxMinutes - Maximum minutes (default 60)
+ * Convert angle to minutes (0-60 per lap)
+ * @param {number} angle - Angle in radians, may exceed 2π when wound past 12 o'clock
+ * @param {number} maxMinutes - Minutes per full lap (default 60)
+ * @param {number} maxLaps - Laps allowed before clamping (default 1)
  * @returns {number} Minutes value
  */
-export function angleToMinutes(angle, maxMinutes = 60) {
+export function angleToMinutes(angle, maxMinutes = 60, maxLaps = 1) {
     const minutes = (angle / (2 * Math.PI)) * maxMinutes;
-    return Math.max(0, Math.min(maxMinutes, minutes));
+    return Math.max(0, Math.min(maxMinutes * maxLaps, minutes));
+}
+
+/**
+ * Signed shortest rotation between two angles
+ * Crossing 12 o'clock clockwise gives a small positive delta, not -2π
+ * @param {number} fromAngle - Previous angle in radians (0 to 2π)
+ * @param {number} toAngle - Current angle in radians (0 to 2π)
+ * @returns {number} Delta in radians (-π to π)
+ */
+export function getAngleDelta(fromAngle, toAngle) {
+    let delta = toAngle - fromAngle;
+    if (delta > Math.PI) delta -= 2 * Math.PI;
+    if (delta < -Math.PI) delta += 2 * Math.PI;
+    return delta;
+}
+
+/**
+ * Pick the winding of an angle closest to a reference winding
+ * Used when grabbing the dial so the current lap is kept
+ * @param {number} angle - Angle in radians (0 to 2π)
+ * @param {number} referenceAngle - Wound angle to stay near (may exceed 2π)
+ * @returns {number} Wound angle in radians (>= 0)
+ */
+export function getNearestWinding(angle, referenceAngle) {
+    const laps = Math.round((referenceAngle - angle) / (2 * Math.PI));
+    return angle + Math.max(0, laps) * 2 * Math.PI;
 }
 
 /**
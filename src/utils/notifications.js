@@ -83,6 +83,31 @@ export function notifyTimerComplete(durationMinutes) {
     });
 }
 
+// Break complete notification
+export function notifyBreakComplete(isLongBreak) {
+    return showNotification(isLongBreak ? 'Long Break Over' : 'Break Over', {
+        body: 'Time to get back to focus.',
+        tag: 'timer-complete',
+    });
+}
+
+// Daily or weekly focus goal reached
+export function notifyGoalReached(period, goalText) {
+    return showNotification(period === 'week' ? 'Weekly Goal Reached! 🎯' : 'Daily Goal Reached! 🎯', {
+        body: `You hit your ${goalText} ${period === 'week' ? 'weekly' : 'daily'} focus goal. Well done!`,
+        tag: `goal-${period}`,
+    });
+}
+
+// One or more achievements unlocked
+export function notifyAchievementUnlocked(achievements) {
+    const [first, ...rest] = achievements;
+    return showNotification(`Achievement Unlocked: ${first.title} 🏆`, {
+        body: rest.length > 0 ? `${first.description}, plus ${rest.length} more.` : `${first.description}.`,
+        tag: 'achievement',
+    });
+}
+
 // Meeting reminder notification
 export function notifyMeetingReminder(meeting, minutesBefore) {
     const timeText = minutesBefore === 0 ? 'now' : `in ${minutesBefore} minutes`;
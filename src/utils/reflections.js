@@ -0,0 +1,69 @@
+import { getLocalDateKey, addDays } from './localDate';
+
+/**
+ * Session intention and reflection helpers
+ * "What will you work on?" before a session, a 1-5 focus rating and note after
+ */
+
+export const MAX_INTENTION_LENGTH = 120;
+export const MAX_NOTE_LENGTH = 280;
+
+export const FOCUS_RATINGS = [
+    { value: 1, label: 'Scattered' },
+    { value: 2, label: 'Distracted' },
+    { value: 3, label: 'Okay' },
+    { value: 4, label: 'Focused' },
+    { value: 5, label: 'Deep' },
+];
+
+/**
+ * Human label for a focus rating
+ * @param {number} rating - 1-5
+ * @returns {string|null} Label, or null when unrated
+ */
+export function getRatingLabel(rating) {
+    const match = FOCUS_RATINGS.find(r => r.value === rating);
+    return match ? match.label : null;
+}
+
+/**
+ * Tidy free text typed into a prompt
+ * @param {string} text - Raw input
+ * @param {number} maxLength - Character cap
+ * @returns {string|null} Trimmed text, or null when empty
+ */
+export function cleanPromptText(text, maxLength) {
+    const trimmed = (text || '').trim().slice(0, maxLength);
+    return trimmed || null;
+}
+
+/**
+ * Average focus rating across rated sessions
+ * @param {object[]} history - Session history entries
+ * @returns {number|null} Average rounded to one decimal, or null when none rated
+ */
+export function getAverageRating(history = []) {
+    const ratings = history.map(h => h.rating).filter(Boolean);
+    if (ratings.length === 0) return null;
+    const average = ratings.reduce((sum, r) => sum + r, 0) / ratings.length;
+    return Math.round(average * 10) / 10;
+}
+
+/**
+ * Average focus rating per day for the trailing window, oldest first
+ * @param {object[]} history - Session history entries
+ * @param {number} days - Window length
+ * @returns {object[]} { date, average } where average is null on unrated days
+ */
+export function getFocusQualityByDay(history = [], days = 14) {
+    const result = [];
+    const today = getLocalDateKey();
+    for (let i = days - 1; i >= 0; i--) {
+        const date = addDays(today, -i);
+        result.push({
+            date,
+            average: getAverageRating(history.filter(h => h.timestamp && getLocalDateKey(h.timestamp) === date)),
+        });
+    }
+    return result;
+}
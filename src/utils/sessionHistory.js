@@ -0,0 +1,278 @@
+/**
+ * Session history in IndexedDB
+ * One record per start, completion and break, indexed by timestamp so history
+ * can grow without the localStorage size cap and be read a page or a date range at a time
+ */
+
+const DB_NAME = 'zen_timer';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+const CHANNEL_NAME = 'zen_timer_history';
+
+export const HISTORY_PAGE_SIZE = 20;
+
+let dbPromise = null;
+const listeners = new Set();
+let channel = null;
+
+function getChannel() {
+    if (!channel && typeof window !== 'undefined' && 'BroadcastChannel' in window) {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = () => listeners.forEach(listener => listener());
+    }
+    return channel;
+}
+
+function notifyChange() {
+    listeners.forEach(listener => listener());
+    getChannel()?.postMessage({ type: 'changed' });
+}
+
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            store.createIndex('timestamp', 'timestamp');
+            store.createIndex('sessionId', 'sessionId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call retry instead of caching the failure
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+    return dbPromise;
+}
+
+/**
+ * Run work inside a transaction and resolve once it commits
+ * @param {string} mode - readonly | readwrite
+ * @param {function} work - Called with the object store; its return value is resolved
+ */
+async function withStore(mode, work) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, mode);
+        let result;
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+        result = work(tx.objectStore(STORE_NAME));
+    });
+}
+
+/**
+ * Walk the timestamp index newest first
+ * Records sharing a timestamp come out by descending id, which lets a page resume after one of them
+ * @param {IDBObjectStore} store - Open store
+ * @param {IDBKeyRange|null} range - Timestamps to include
+ * @param {number} limit - Stop after this many records
+ * @param {function} skip - Records to pass over without counting
+ * @returns {object[]} Filled as the cursor advances; complete when the transaction commits
+ */
+function collectNewestFirst(store, range, limit = Infinity, skip = () => false) {
+    const records = [];
+    const request = store.index('timestamp').openCursor(range, 'prev');
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || records.length >= limit) return;
+        if (!skip(cursor.value)) records.push(cursor.value);
+        cursor.continue();
+    };
+    return records;
+}
+
+/**
+ * Unique id for a history record; several can be written in the same millisecond
+ */
+export function createRecordId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Save one history record
+ * @param {object} record - { id, type, duration, timestamp, ... }
+ * @returns {Promise<boolean>} Success status
+ */
+export async function addSessionRecord(record) {
+    try {
+        await withStore('readwrite', store => store.put(record));
+        notifyChange();
+        return true;
+    } catch (error) {
+        console.warn('Error writing session history:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Merge fields into the records of one session
+ * @param {string} sessionId - Id the session was started with
+ * @param {string} type - Record type to update (start | complete | abandoned)
+ * @param {object} patch - Fields to merge
+ * @returns {Promise<boolean>} Success status
+ */
+export async function updateSessionRecords(sessionId, type, patch) {
+    try {
+        await withStore('readwrite', (store) => {
+            const request = store.index('sessionId').openCursor(IDBKeyRange.only(sessionId));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (cursor.value.type === type) cursor.update({ ...cursor.value, ...patch });
+                cursor.continue();
+            };
+        });
+        notifyChange();
+        return true;
+    } catch (error) {
+        console.warn('Error updating session history:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Delete the records of one session
+ * @param {string} sessionId - Id the session was started with
+ * @param {string} type - Record type to delete (e.g. abandoned)
+ * @returns {Promise<object[]|null>} Records deleted, or null on failure
+ */
+export async function removeSessionRecords(sessionId, type) {
+    try {
+        const removed = await withStore('readwrite', (store) => {
+            const records = [];
+            const request = store.index('sessionId').openCursor(IDBKeyRange.only(sessionId));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (cursor.value.type === type) {
+                    records.push(cursor.value);
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+            return records;
+        });
+        if (removed.length > 0) notifyChange();
+        return removed;
+    } catch (error) {
+        console.warn('Error removing session history:', error.message);
+        return null;
+    }
+}
+
+/**
+ * One page of history, newest first
+ * @param {object|null} after - Last record already shown, or null for the first page
+ * @param {number} limit - Page size
+ * @returns {Promise<object>} { records, hasMore }
+ */
+export async function getSessionPage(after = null, limit = HISTORY_PAGE_SIZE) {
+    try {
+        const range = after ? IDBKeyRange.upperBound(after.timestamp) : null;
+        const alreadyShown = record => after && record.timestamp === after.timestamp && record.id >= after.id;
+        // One extra record tells whether another page exists
+        const records = await withStore('readonly', store => collectNewestFirst(store, range, limit + 1, alreadyShown));
+        return { records: records.slice(0, limit), hasMore: records.length > limit };
+    } catch (error) {
+        console.warn('Error reading session history:', error.message);
+        return { records: [], hasMore: false };
+    }
+}
+
+/**
+ * History between two moments, newest first
+ * @param {Date|string} from - Inclusive start
+ * @param {Date|string} to - Exclusive end
+ * @returns {Promise<object[]>} Records
+ */
+export async function getSessionsInRange(from, to) {
+    try {
+        const range = IDBKeyRange.bound(new Date(from).toISOString(), new Date(to).toISOString(), false, true);
+        return await withStore('readonly', store => collectNewestFirst(store, range));
+    } catch (error) {
+        console.warn('Error reading session history:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Copy history entries kept in localStorage into the database
+ * Records keep their ids, so running this twice does not duplicate anything
+ * @param {object[]} history - Entries from focus_stats.history
+ * @returns {Promise<boolean>} Whether every entry was saved
+ */
+export async function importSessionRecords(history = []) {
+    if (history.length === 0) return true;
+    try {
+        await withStore('readwrite', (store) => {
+            // Old ids were only millisecond timestamps and can repeat
+            const seen = new Set();
+            history.forEach((entry, i) => {
+                if (!entry?.timestamp) return;
+                const id = entry.id && !seen.has(entry.id) ? `${entry.id}` : `${entry.id || 'legacy'}-${i}`;
+                seen.add(entry.id);
+                store.put({ ...entry, id });
+            });
+        });
+        notifyChange();
+        return true;
+    } catch (error) {
+        console.warn('Error importing session history:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Add records from an import, skipping any already stored
+ * A record is a duplicate when its id exists or its session already has a record of the same type
+ * @param {object[]} records - Validated history records
+ * @returns {Promise<object[]|null>} The records actually added, or null on failure
+ */
+export async function mergeSessionRecords(records = []) {
+    try {
+        const added = await withStore('readwrite', (store) => {
+            const result = [];
+            const request = store.getAll();
+            request.onsuccess = () => {
+                const ids = new Set(request.result.map(r => r.id));
+                const sessions = new Set(request.result.filter(r => r.sessionId).map(r => `${r.sessionId}:${r.type}`));
+                records.forEach((record) => {
+                    const sessionKey = record.sessionId ? `${record.sessionId}:${record.type}` : null;
+                    if (ids.has(record.id) || (sessionKey && sessions.has(sessionKey))) return;
+                    ids.add(record.id);
+                    if (sessionKey) sessions.add(sessionKey);
+                    store.put(record);
+                    result.push(record);
+                });
+            };
+            return result;
+        });
+        if (added.length > 0) notifyChange();
+        return added;
+    } catch (error) {
+        console.warn('Error importing session history:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Listen for history changes in this tab or any other
+ * @param {function} listener - Called with no arguments
+ * @returns {function} Unsubscribe
+ */
+export function subscribeToHistory(listener) {
+    getChannel();
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
@@ -0,0 +1,158 @@
+import { getAudioContext, rampTo } from './audio';
+
+/**
+ * Procedural ambient soundscapes generated with Web Audio
+ * Nothing is downloaded; every sound is synthesized on the fly
+ */
+
+export const SOUNDSCAPES = [
+    { id: 'none', label: 'Off' },
+    { id: 'white', label: 'White' },
+    { id: 'pink', label: 'Pink' },
+    { id: 'brown', label: 'Brown' },
+    { id: 'rain', label: 'Rain' },
+    { id: 'binaural', label: 'Binaural' },
+];
+
+const NOISE_SECONDS = 4; // Length of the looped noise buffer
+const BINAURAL_BASE = 200; // Carrier frequency (Hz)
+const BINAURAL_BEAT = 10; // Left/right difference (Hz), alpha range
+
+/**
+ * Fill a looping buffer with coloured noise
+ * @param {AudioContext} ctx - Audio context
+ * @param {string} color - white | pink | brown
+ * @returns {AudioBuffer} Mono noise buffer
+ */
+function createNoiseBuffer(ctx, color) {
+    const length = ctx.sampleRate * NOISE_SECONDS;
+    const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+
+    // Pink uses Paul Kellet's filter; brown integrates white noise
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+    let last = 0;
+
+    for (let i = 0; i < length; i++) {
+        const white = Math.random() * 2 - 1;
+
+        if (color === 'pink') {
+            b0 = 0.99886 * b0 + white * 0.0555179;
+            b1 = 0.99332 * b1 + white * 0.0750759;
+            b2 = 0.96900 * b2 + white * 0.1538520;
+            b3 = 0.86650 * b3 + white * 0.3104856;
+            b4 = 0.55000 * b4 + white * 0.5329522;
+            b5 = -0.7616 * b5 - white * 0.0168980;
+            data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+            b6 = white * 0.115926;
+        } else if (color === 'brown') {
+            last = (last + 0.02 * white) / 1.02;
+            data[i] = last * 3.5;
+        } else {
+            data[i] = white * 0.5;
+        }
+    }
+
+    return buffer;
+}
+
+function createNoiseSource(ctx, color) {
+    const source = ctx.createBufferSource();
+    source.buffer = createNoiseBuffer(ctx, color);
+    source.loop = true;
+    return source;
+}
+
+/**
+ * Build the node graph for a soundscape into an output node
+ * @returns {AudioScheduledSourceNode[]} Sources to start/stop
+ */
+function buildSoundscape(ctx, type, output) {
+    if (type === 'rain') {
+        // Band-limited pink noise with a slow swell reads as steady rain
+        const noise = createNoiseSource(ctx, 'pink');
+        const highpass = ctx.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.value = 400;
+        const lowpass = ctx.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        lowpass.frequency.value = 6000;
+        const swell = ctx.createGain();
+        swell.gain.value = 0.8;
+
+        const lfo = ctx.createOscillator();
+        lfo.frequency.value = 0.15;
+        const lfoDepth = ctx.createGain();
+        lfoDepth.gain.value = 0.2;
+        lfo.connect(lfoDepth);
+        lfoDepth.connect(swell.gain);
+
+        noise.connect(highpass);
+        highpass.connect(lowpass);
+        lowpass.connect(swell);
+        swell.connect(output);
+        return [noise, lfo];
+    }
+
+    if (type === 'binaural') {
+        // Slightly detuned tones, one per ear
+        const merger = ctx.createChannelMerger(2);
+        const left = ctx.createOscillator();
+        const right = ctx.createOscillator();
+        left.frequency.value = BINAURAL_BASE;
+        right.frequency.value = BINAURAL_BASE + BINAURAL_BEAT;
+        left.connect(merger, 0, 0);
+        right.connect(merger, 0, 1);
+
+        const level = ctx.createGain();
+        level.gain.value = 0.3;
+        merger.connect(level);
+        level.connect(output);
+        return [left, right];
+    }
+
+    const noise = createNoiseSource(ctx, type);
+    noise.connect(output);
+    return [noise];
+}
+
+/**
+ * Start a soundscape, silent until faded in
+ * @param {string} type - One of SOUNDSCAPES ids (except none)
+ * @returns {object|null} Controller { fadeTo, stop }, null if unsupported
+ */
+export function createSoundscape(type) {
+    const ctx = getAudioContext();
+    if (!ctx || type === 'none') return null;
+
+    const master = ctx.createGain();
+    master.gain.value = 0;
+    master.connect(ctx.destination);
+
+    const sources = buildSoundscape(ctx, type, master);
+    sources.forEach(source => source.start());
+
+    let stopped = false;
+
+    return {
+        type,
+        /**
+         * Fade to a volume (0-1) over some seconds
+         */
+        fadeTo(volume, seconds = 1) {
+            if (stopped) return;
+            rampTo(master.gain, volume, seconds);
+        },
+        /**
+         * Fade out, then release every node
+         */
+        stop(seconds = 1) {
+            if (stopped) return;
+            stopped = true;
+            rampTo(master.gain, 0, seconds);
+            const stopAt = ctx.currentTime + seconds + 0.05;
+            sources.forEach(source => source.stop(stopAt));
+            setTimeout(() => master.disconnect(), (seconds + 0.1) * 1000);
+        },
+    };
+}
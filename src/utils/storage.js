@@ -9,9 +9,9 @@ const MAX_VALUE_LENGTH = 50000; // Allow larger data for todos, calendar, stats
 /**
  * Validate and sanitize storage key
  * @param {string} key - Storage key
- * @returns {string} Sanitized key
+ * @returns {string} Sanitized key, as it appears in localStorage
  */
-function sanitizeKey(key) {
+export function sanitizeKey(key) {
     if (typeof key !== 'string') {
         throw new Error('Storage key must be a string');
     }
@@ -86,6 +86,39 @@ export function removeStorageItem(key) {
     }
 }
 
+/**
+ * Pick an integer within range, falling back to a default
+ * @param {*} value - Candidate value
+ * @param {number} min - Minimum allowed
+ * @param {number} max - Maximum allowed
+ * @param {number} fallback - Default when invalid
+ * @returns {number} Validated integer
+ */
+function validateInteger(value, min, max, fallback) {
+    return Number.isInteger(value) && value >= min && value <= max
+        ? value
+        : fallback;
+}
+
+/**
+ * Validate per-soundscape volumes (0-1)
+ * @param {object} volumes - Map of soundscape id to volume
+ * @param {object} defaults - Default volumes
+ * @returns {object} Validated volumes
+ */
+function validateVolumes(volumes, defaults) {
+    const validated = { ...defaults };
+    if (!volumes || typeof volumes !== 'object') return validated;
+
+    Object.keys(defaults).forEach((id) => {
+        const volume = volumes[id];
+        if (typeof volume === 'number' && volume >= 0 && volume <= 1) {
+            validated[id] = volume;
+        }
+    });
+    return validated;
+}
+
 /**
  * Validate timer settings object
  * @param {object} settings - Settings to validate
@@ -96,7 +129,42 @@ export function validateTimerSettings(settings) {
         soundEnabled: true,
         theme: 'light',
         defaultDuration: 25,
+        pomodoroEnabled: false,
+        shortBreakDuration: 5,
+        longBreakDuration: 15,
+        roundsBeforeLongBreak: 4,
+        autoAdvance: false,
+        dialIncrement: 5,
+        minDuration: 5,
+        soundscape: 'none',
+        soundscapeVolumes: {
+            white: 0.3,
+            pink: 0.4,
+            brown: 0.5,
+            rain: 0.5,
+            binaural: 0.3,
+        },
+        startChime: 'none',
+        completionChime: 'bowl',
+        intervalChime: 'none',
+        intervalMode: 'every',
+        intervalMinutes: 10,
+        chimeVolume: 0.6,
+        intentionPrompt: false, // Ask "What will you work on?" before starting
+        reflectionPrompt: false, // Ask for a focus rating after finishing
+        strictMode: false,
+        tabIndicator: true,
+        lockMode: false,
+        lockMaxLeaves: 3,
+        goalUnit: 'minutes',
+        dailyGoal: 0, // 0 = no goal
+        weeklyGoal: 0,
+        goalStreaks: false,
+        dayStartHour: 0, // Focus days begin at this hour (0-6)
+        streakFreezes: 'off',
+        countPartialTime: false, // Add time from abandoned sessions to daily totals
     };
+    const chimes = ['none', 'bowl', 'bell', 'woodblock', 'digital'];
 
     if (!settings || typeof settings !== 'object') {
         return defaults;
@@ -109,10 +177,72 @@ export function validateTimerSettings(settings) {
         theme: ['light', 'dark'].includes(settings.theme)
             ? settings.theme
             : defaults.theme,
-        defaultDuration: Number.isInteger(settings.defaultDuration) &&
-            settings.defaultDuration >= 1 &&
-            settings.defaultDuration <= 120
-            ? settings.defaultDuration
-            : defaults.defaultDuration,
+        defaultDuration: validateInteger(settings.defaultDuration, 1, 120, defaults.defaultDuration),
+        pomodoroEnabled: typeof settings.pomodoroEnabled === 'boolean'
+            ? settings.pomodoroEnabled
+            : defaults.pomodoroEnabled,
+        shortBreakDuration: validateInteger(settings.shortBreakDuration, 1, 30, defaults.shortBreakDuration),
+        longBreakDuration: validateInteger(settings.longBreakDuration, 5, 60, defaults.longBreakDuration),
+        roundsBeforeLongBreak: validateInteger(settings.roundsBeforeLongBreak, 2, 8, defaults.roundsBeforeLongBreak),
+        autoAdvance: typeof settings.autoAdvance === 'boolean'
+            ? settings.autoAdvance
+            : defaults.autoAdvance,
+        dialIncrement: [1, 5, 10, 15].includes(settings.dialIncrement)
+            ? settings.dialIncrement
+            : defaults.dialIncrement,
+        minDuration: validateInteger(settings.minDuration, 1, 30, defaults.minDuration),
+        soundscape: ['none', 'white', 'pink', 'brown', 'rain', 'binaural'].includes(settings.soundscape)
+            ? settings.soundscape
+            : defaults.soundscape,
+        soundscapeVolumes: validateVolumes(settings.soundscapeVolumes, defaults.soundscapeVolumes),
+        startChime: chimes.includes(settings.startChime)
+            ? settings.startChime
+            : defaults.startChime,
+        completionChime: chimes.includes(settings.completionChime)
+            ? settings.completionChime
+            : defaults.completionChime,
+        intervalChime: chimes.includes(settings.intervalChime)
+            ? settings.intervalChime
+            : defaults.intervalChime,
+        intervalMode: ['every', 'milestones'].includes(settings.intervalMode)
+            ? settings.intervalMode
+            : defaults.intervalMode,
+        intervalMinutes: validateInteger(settings.intervalMinutes, 1, 60, defaults.intervalMinutes),
+        chimeVolume: typeof settings.chimeVolume === 'number' &&
+            settings.chimeVolume >= 0 &&
+            settings.chimeVolume <= 1
+            ? settings.chimeVolume
+            : defaults.chimeVolume,
+        intentionPrompt: typeof settings.intentionPrompt === 'boolean'
+            ? settings.intentionPrompt
+            : defaults.intentionPrompt,
+        reflectionPrompt: typeof settings.reflectionPrompt === 'boolean'
+            ? settings.reflectionPrompt
+            : defaults.reflectionPrompt,
+        strictMode: typeof settings.strictMode === 'boolean'
+            ? settings.strictMode
+            : defaults.strictMode,
+        tabIndicator: typeof settings.tabIndicator === 'boolean'
+            ? settings.tabIndicator
+            : defaults.tabIndicator,
+        lockMode: typeof settings.lockMode === 'boolean'
+            ? settings.lockMode
+            : defaults.lockMode,
+        lockMaxLeaves: validateInteger(settings.lockMaxLeaves, 1, 10, defaults.lockMaxLeaves),
+        goalUnit: ['minutes', 'sessions'].includes(settings.goalUnit)
+            ? settings.goalUnit
+            : defaults.goalUnit,
+        dailyGoal: validateInteger(settings.dailyGoal, 0, 720, defaults.dailyGoal),
+        weeklyGoal: validateInteger(settings.weeklyGoal, 0, 5040, defaults.weeklyGoal),
+        goalStreaks: typeof settings.goalStreaks === 'boolean'
+            ? settings.goalStreaks
+            : defaults.goalStreaks,
+        dayStartHour: validateInteger(settings.dayStartHour, 0, 6, defaults.dayStartHour),
+        streakFreezes: ['off', 'weekends', 'earned'].includes(settings.streakFreezes)
+            ? settings.streakFreezes
+            : defaults.streakFreezes,
+        countPartialTime: typeof settings.countPartialTime === 'boolean'
+            ? settings.countPartialTime
+            : defaults.countPartialTime,
     };
 }
@@ -0,0 +1,57 @@
+import { getDaysBetween, isWeekend } from './localDate';
+
+/**
+ * Focus streaks over local days, optionally protected by freezes
+ * off: any missed day resets the streak
+ * weekends: Saturdays and Sundays can be skipped without breaking it
+ * earned: every 7-day run banks a freeze (up to 2), each covering one missed day
+ */
+
+export const FREEZE_MODES = ['off', 'weekends', 'earned'];
+export const FREEZE_EARN_DAYS = 7;
+export const MAX_FREEZES = 2;
+
+function getMissedDays(lastDate, today, mode) {
+    return getDaysBetween(lastDate, today).filter(key => !(mode === 'weekends' && isWeekend(key)));
+}
+
+/**
+ * Count a day towards the streak
+ * @param {object} streak - { current, lastDate, freezes } as saved
+ * @param {string} today - Day being counted
+ * @param {string} mode - off | weekends | earned
+ * @returns {object} { current, lastDate, freezes, freezesUsed }
+ */
+export function extendStreak({ current = 0, lastDate = null, freezes = 0 }, today, mode) {
+    if (lastDate === today) return { current, lastDate, freezes, freezesUsed: 0 };
+
+    let missed = lastDate ? getMissedDays(lastDate, today, mode).length : Infinity;
+    let freezesUsed = 0;
+    if (mode === 'earned' && missed > 0 && missed <= freezes) {
+        freezesUsed = missed;
+        missed = 0;
+    }
+
+    const next = missed === 0 ? current + 1 : 1;
+    const earned = mode === 'earned' && next % FREEZE_EARN_DAYS === 0 ? 1 : 0;
+    return {
+        current: next,
+        lastDate: today,
+        freezes: Math.min(freezes - freezesUsed + earned, MAX_FREEZES),
+        freezesUsed,
+    };
+}
+
+/**
+ * Streak as it stands today; a run that can no longer be continued reads as 0
+ * @param {object} streak - { current, lastDate, freezes } as saved
+ * @param {string} today - Current day
+ * @param {string} mode - off | weekends | earned
+ * @returns {number} Days
+ */
+export function getActiveStreak({ current = 0, lastDate = null, freezes = 0 }, today, mode) {
+    if (!lastDate || !current || lastDate >= today) return current || 0;
+    // Today can still be counted, so only the days in between matter
+    const missed = getMissedDays(lastDate, today, mode).length;
+    return missed === 0 || (mode === 'earned' && missed <= freezes) ? current : 0;
+}
@@ -0,0 +1,557 @@
+import { MIN_DISTRACTION_SECONDS } from './interruptions';
+
+/**
+ * Timer State Machine
+ * Pure, React-free model of the focus timer: which events each status accepts,
+ * guards on those events, the side effects a transition asks for, and a per-session
+ * event log that can be replayed to rebuild the state.
+ *
+ * Events are stamped with `at` (ms) by whoever dispatches them, so a transition
+ * depends only on its inputs and replaying a log gives the same result.
+ */
+
+export const INITIAL_STATE = {
+    status: 'idle',       // idle | adjusting | committing | running | paused | completed
+    duration: 25 * 60,    // Duration in seconds
+    remaining: 25 * 60,   // Remaining seconds
+    startTime: null,      // When timer started (timestamp)
+    pausedAt: null,       // When paused (timestamp)
+    endTime: null,        // When timer should complete (timestamp)
+    phase: 'focus',       // focus | shortBreak | longBreak
+    round: 1,             // Pomodoro round within the current cycle (1-based)
+    focusDuration: 25 * 60, // Work length to return to after a break
+    taskId: null,         // Todo the running focus session is attached to
+    sessionId: null,      // Id shared by this session's history entries
+    intention: null,      // "What will you work on?" answer for this session
+    mode: 'countdown',    // countdown | flow (open-ended stopwatch)
+    elapsed: 0,           // Seconds counted up in flow mode
+    elapsedFrom: null,    // Timestamp flow counting runs from (shifted on resume)
+    pauseReason: null,    // Reason picked for the current pause (call | colleague | break | other)
+    interruptions: [],    // { kind: pause | tab-away, reason, start, end, duration } this session
+    lock: null,           // { maxLeaves } while a lock-mode focus session runs
+    leaves: 0,            // Times the page was left during a locked session
+    broken: false,        // Locked session left too many times
+    cancelled: null,      // Snapshot of the last cancelled session, kept so it can be undone
+    cancelledAt: null,    // When that session was cancelled (timestamp)
+    log: [],              // Events accepted since this session was committed
+    effects: [],          // Side effects requested by the last transition
+};
+
+/**
+ * Events each status accepts; anything else is ignored
+ */
+export const TRANSITIONS = {
+    idle: ['START_ADJUST', 'SET_DURATION', 'SET_MODE', 'COMMIT', 'ADVANCE_PHASE', 'UNDO_CANCEL', 'RESET'],
+    adjusting: ['SET_DURATION', 'END_ADJUST', 'ENTER_DROP_ZONE', 'COMMIT'],
+    committing: ['SET_DURATION', 'END_ADJUST', 'EXIT_DROP_ZONE', 'COMMIT'],
+    running: ['TICK', 'PAUSE', 'EXTEND', 'STOP', 'CANCEL', 'LOG_DISTRACTION', 'LOG_LEAVE'],
+    paused: ['RESUME', 'SET_PAUSE_REASON', 'EXTEND', 'STOP', 'CANCEL', 'LOG_DISTRACTION', 'LOG_LEAVE'],
+    completed: ['COMPLETE_ACKNOWLEDGED', 'ADVANCE_PHASE', 'RESET'],
+};
+
+/**
+ * Shortest session worth recording when finished by hand (seconds)
+ */
+const MIN_SESSION_SECONDS = 60;
+
+/**
+ * Longest a countdown can be extended to, same cap as the dial (seconds)
+ */
+const MAX_SESSION_SECONDS = 120 * 60;
+
+/**
+ * How long a cancelled session can be brought back (ms)
+ */
+export const UNDO_CANCEL_MS = 5000;
+
+/**
+ * Extra conditions an allowed event must meet
+ */
+const GUARDS = {
+    SET_MODE: (state, event) => ['countdown', 'flow'].includes(event.mode),
+    COMMIT: (state) => state.mode === 'flow' || state.duration > 0,
+    ADVANCE_PHASE: (state, event) => Boolean(event.cycle),
+    EXTEND: (state) => state.mode !== 'flow' && state.duration < MAX_SESSION_SECONDS,
+    LOG_LEAVE: (state) => Boolean(state.lock),
+    UNDO_CANCEL: (state, event) => Boolean(state.cancelled) && event.at - state.cancelledAt <= UNDO_CANCEL_MS,
+};
+
+/**
+ * Statuses that belong to a live or just-finished session
+ */
+const SESSION_STATUSES = ['running', 'paused', 'completed'];
+
+/**
+ * State a session's log starts from, enough to replay its COMMIT
+ */
+const LOG_BASE_FIELDS = ['duration', 'remaining', 'phase', 'round', 'focusDuration', 'mode'];
+
+const NO_EFFECTS = [];
+
+function calculateRemaining(state, now) {
+    if (state.status === 'running' && state.endTime) {
+        return Math.max(0, Math.floor((state.endTime - now) / 1000));
+    }
+    return state.remaining;
+}
+
+function calculateElapsed(state, now) {
+    if (state.status === 'running' && state.elapsedFrom) {
+        return Math.max(0, Math.floor((now - state.elapsedFrom) / 1000));
+    }
+    return state.elapsed;
+}
+
+/**
+ * Append the pause that is ending to the session's interruptions
+ */
+function closePause(state, now) {
+    if (!state.pausedAt) return state.interruptions;
+    return [
+        ...state.interruptions,
+        {
+            kind: 'pause',
+            reason: state.pauseReason,
+            start: state.pausedAt,
+            end: now,
+            duration: Math.round((now - state.pausedAt) / 1000),
+        },
+    ];
+}
+
+/**
+ * Idle state to return to after a session, keeping the user's choices
+ */
+function getResetState(state) {
+    return {
+        ...INITIAL_STATE,
+        duration: state.focusDuration,
+        remaining: state.focusDuration,
+        focusDuration: state.focusDuration,
+        mode: state.mode,
+    };
+}
+
+/**
+ * Work out the phase that follows the current one in a Pomodoro cycle
+ * @param {object} state - Current timer state
+ * @param {object} cycle - { rounds, shortBreak, longBreak } (minutes)
+ * @returns {object} Next phase, round and duration (seconds)
+ */
+function getNextPhase(state, cycle) {
+    if (state.phase === 'focus') {
+        const isLongBreak = state.round % cycle.rounds === 0;
+        return {
+            phase: isLongBreak ? 'longBreak' : 'shortBreak',
+            round: state.round,
+            duration: (isLongBreak ? cycle.longBreak : cycle.shortBreak) * 60,
+        };
+    }
+
+    // After a long break the cycle starts over
+    return {
+        phase: 'focus',
+        round: state.phase === 'longBreak' ? 1 : state.round + 1,
+        duration: state.focusDuration,
+    };
+}
+
+function advancePhase(state, cycle, autoStart, session = {}, now) {
+    const next = getNextPhase(state, cycle);
+    const advanced = {
+        ...INITIAL_STATE,
+        ...next,
+        remaining: next.duration,
+        focusDuration: state.focusDuration,
+        mode: state.mode,
+    };
+
+    if (!autoStart) return advanced;
+
+    return {
+        ...advanced,
+        status: 'running',
+        startTime: now,
+        endTime: now + (next.duration * 1000),
+        taskId: next.phase === 'focus' ? (session.taskId ?? null) : null,
+        sessionId: session.sessionId ?? now.toString(36),
+        intention: next.phase === 'focus' ? (session.intention ?? null) : null,
+        lock: next.phase === 'focus' ? (session.lock ?? null) : null,
+    };
+}
+
+/**
+ * Apply an accepted event; status and guard checks have already passed
+ */
+function reduce(state, event, now) {
+    switch (event.type) {
+        case 'START_ADJUST':
+            return { ...state, status: 'adjusting' };
+
+        case 'SET_DURATION': {
+            const minutes = Math.max(event.minDuration ?? 1, Math.min(120, event.minutes));
+            const seconds = minutes * 60;
+            return {
+                ...state,
+                duration: seconds,
+                remaining: seconds,
+                focusDuration: state.phase === 'focus' ? seconds : state.focusDuration,
+            };
+        }
+
+        case 'END_ADJUST':
+            return { ...state, status: 'idle' };
+
+        case 'ENTER_DROP_ZONE':
+            return { ...state, status: 'committing' };
+
+        case 'EXIT_DROP_ZONE':
+            return { ...state, status: 'adjusting' };
+
+        case 'SET_MODE':
+            return { ...state, mode: event.mode };
+
+        case 'COMMIT': {
+            const isFocus = state.phase === 'focus';
+            const started = {
+                ...state,
+                status: 'running',
+                startTime: now,
+                taskId: isFocus ? (event.taskId ?? null) : null,
+                sessionId: event.sessionId ?? now.toString(36),
+                intention: isFocus ? (event.intention ?? null) : null,
+                lock: isFocus ? (event.lock ?? null) : null,
+                leaves: 0,
+                broken: false,
+                pauseReason: null,
+                interruptions: [],
+                cancelled: null,
+                cancelledAt: null,
+            };
+            if (state.mode === 'flow') {
+                return { ...started, endTime: null, elapsed: 0, elapsedFrom: now };
+            }
+            return {
+                ...started,
+                endTime: now + (state.duration * 1000), // Calculate end time
+                remaining: state.duration,
+            };
+        }
+
+        case 'TICK': {
+            if (state.mode === 'flow') {
+                return { ...state, elapsed: calculateElapsed(state, now) };
+            }
+            const newRemaining = calculateRemaining(state, now);
+            if (newRemaining <= 0) {
+                return { ...state, status: 'completed', remaining: 0 };
+            }
+            return { ...state, remaining: newRemaining };
+        }
+
+        case 'PAUSE':
+            if (state.mode === 'flow') {
+                return {
+                    ...state,
+                    status: 'paused',
+                    pausedAt: now,
+                    elapsed: calculateElapsed(state, now),
+                    elapsedFrom: null,
+                };
+            }
+            return {
+                ...state,
+                status: 'paused',
+                pausedAt: now,
+                remaining: calculateRemaining(state, now),
+                endTime: null, // Clear end time when paused
+            };
+
+        case 'RESUME': {
+            const resumed = {
+                ...state,
+                status: 'running',
+                pausedAt: null,
+                pauseReason: null,
+                interruptions: closePause(state, now),
+            };
+            if (state.mode === 'flow') {
+                return {
+                    ...resumed,
+                    elapsedFrom: now - (state.elapsed * 1000), // Skip the paused gap
+                };
+            }
+            return {
+                ...resumed,
+                endTime: now + (state.remaining * 1000), // New end time from remaining
+            };
+        }
+
+        case 'EXTEND': {
+            // Add minutes to a running or paused countdown without restarting it
+            const extra = Math.min(event.minutes * 60, MAX_SESSION_SECONDS - state.duration);
+            if (state.status === 'paused') {
+                return {
+                    ...state,
+                    duration: state.duration + extra,
+                    remaining: state.remaining + extra,
+                };
+            }
+            const extended = {
+                ...state,
+                duration: state.duration + extra,
+                endTime: state.endTime + (extra * 1000),
+            };
+            return { ...extended, remaining: calculateRemaining(extended, now) };
+        }
+
+        case 'STOP': {
+            // Finish now; the time actually spent becomes the session length
+            if (state.mode !== 'flow') {
+                const focused = state.duration - calculateRemaining(state, now);
+                // Breaks always complete so the cycle moves on
+                if (state.phase === 'focus' && focused < MIN_SESSION_SECONDS) {
+                    return { ...getResetState(state), round: state.round };
+                }
+                return {
+                    ...state,
+                    status: 'completed',
+                    duration: focused,
+                    remaining: 0,
+                    endTime: null,
+                    pausedAt: null,
+                    pauseReason: null,
+                    interruptions: closePause(state, now),
+                };
+            }
+            const elapsed = calculateElapsed(state, now);
+            if (elapsed < MIN_SESSION_SECONDS) {
+                return getResetState(state);
+            }
+            return {
+                ...state,
+                status: 'completed',
+                duration: elapsed,
+                remaining: 0,
+                elapsed,
+                elapsedFrom: null,
+                pausedAt: null,
+                pauseReason: null,
+                interruptions: closePause(state, now),
+            };
+        }
+
+        case 'SET_PAUSE_REASON':
+            return { ...state, pauseReason: event.reason };
+
+        case 'LOG_DISTRACTION': {
+            // Tab hidden while the session ran
+            const duration = Math.round((event.end - event.start) / 1000);
+            if (duration < MIN_DISTRACTION_SECONDS) return state;
+            return {
+                ...state,
+                interruptions: [
+                    ...state.interruptions,
+                    { kind: 'tab-away', reason: null, start: event.start, end: event.end, duration },
+                ],
+            };
+        }
+
+        case 'LOG_LEAVE': {
+            // Page hidden during a locked session
+            const leaves = state.leaves + 1;
+            return {
+                ...state,
+                leaves,
+                broken: state.broken || leaves >= state.lock.maxLeaves,
+            };
+        }
+
+        case 'CANCEL': {
+            // Keep the round so a cancelled session doesn't restart the cycle,
+            // and the session itself (with this event logged) so it can be undone
+            return {
+                ...getResetState(state),
+                round: state.round,
+                cancelled: { ...state, cancelled: null, cancelledAt: null, log: [...state.log, event], effects: NO_EFFECTS },
+                cancelledAt: now,
+            };
+        }
+
+        case 'RESET':
+            return { ...getResetState(state), round: state.round };
+
+        case 'UNDO_CANCEL': {
+            // endTime/elapsedFrom are wall-clock, so a running session carries on as if
+            // never cancelled; a paused one keeps its pausedAt and stays paused
+            const snapshot = state.cancelled;
+            return {
+                ...snapshot,
+                remaining: calculateRemaining(snapshot, now),
+                elapsed: calculateElapsed(snapshot, now),
+            };
+        }
+
+        case 'ADVANCE_PHASE':
+            return advancePhase(state, event.cycle, event.autoStart, event.session, now);
+
+        case 'COMPLETE_ACKNOWLEDGED':
+            // In a Pomodoro cycle, acknowledging moves on to the next phase
+            if (event.cycle) {
+                return advancePhase(state, event.cycle, false, {}, now);
+            }
+            return getResetState(state);
+
+        default:
+            return state;
+    }
+}
+
+/**
+ * What a session effect handler needs to know about the session
+ */
+function describeSession(state) {
+    return {
+        phase: state.phase,
+        mode: state.mode,
+        duration: state.duration,
+        taskId: state.taskId,
+        sessionId: state.sessionId,
+        startTime: state.startTime,
+        intention: state.intention,
+        interruptions: state.interruptions,
+        leaves: state.leaves,
+        broken: state.broken,
+    };
+}
+
+/**
+ * How far a session got before it was left early
+ * `focused` excludes paused time; flow sessions have no planned end, so no `remaining`
+ */
+function describeProgress(state, now) {
+    const flow = state.mode === 'flow';
+    return {
+        focused: flow ? calculateElapsed(state, now) : state.duration - calculateRemaining(state, now),
+        remaining: flow ? null : calculateRemaining(state, now),
+        paused: state.status === 'paused',
+    };
+}
+
+/**
+ * Side effects for entering and leaving statuses (sound, notification, stats)
+ * Each returns effect types; they are described from the state being entered or left
+ */
+const ENTRY_EFFECTS = {
+    // Resuming doesn't start a new session; undoing brings back the cancelled one
+    running: (event) => {
+        if (event.type === 'COMMIT' || event.type === 'ADVANCE_PHASE') return ['sessionStarted'];
+        return event.type === 'UNDO_CANCEL' ? ['sessionRestored'] : [];
+    },
+    paused: (event) => (event.type === 'UNDO_CANCEL' ? ['sessionRestored'] : []),
+    completed: () => ['sessionCompleted'],
+};
+
+const EXIT_EFFECTS = {
+    running: (event, next) => (next.status === 'idle' ? ['sessionCancelled'] : []),
+    paused: (event, next) => (next.status === 'idle' ? ['sessionCancelled'] : []),
+};
+
+function getEffects(prev, next, event) {
+    if (prev.status === next.status) return NO_EFFECTS;
+    const exits = (EXIT_EFFECTS[prev.status]?.(event, next) || [])
+        .map(type => ({ type, at: event.at, reason: event.type, ...describeSession(prev), ...describeProgress(prev, event.at) }));
+    const entries = (ENTRY_EFFECTS[next.status]?.(event, prev) || [])
+        .map(type => ({ type, at: event.at, reason: event.type, ...describeSession(next) }));
+    const effects = [...exits, ...entries];
+    return effects.length ? effects : NO_EFFECTS;
+}
+
+/**
+ * Keep the session's event log: committing starts a fresh log from the state it
+ * committed from; later events are appended while the session lasts
+ */
+function getLog(prev, next, event) {
+    if (!SESSION_STATUSES.includes(next.status)) return next.log;
+
+    const startsSession = event.type === 'COMMIT' || (event.type === 'ADVANCE_PHASE' && next.status === 'running');
+    if (startsSession) {
+        const from = {};
+        LOG_BASE_FIELDS.forEach((field) => { from[field] = prev[field]; });
+        return [{ ...event, from }];
+    }
+
+    // Plain ticks are derived from the clock; only the one that completes is kept
+    if (event.type === 'TICK' && prev.status === next.status) return next.log;
+    return [...next.log, event];
+}
+
+/**
+ * Whether the current status accepts an event and its guard passes
+ * @param {object} state - Current timer state
+ * @param {object} event - { type, at, ...payload }
+ * @returns {boolean} True when the event would be applied
+ */
+export function canTransition(state, event) {
+    if (!TRANSITIONS[state.status]?.includes(event.type)) return false;
+    const guard = GUARDS[event.type];
+    return guard ? guard(state, event) : true;
+}
+
+/**
+ * Run one event through the machine
+ * @param {object} state - Current timer state
+ * @param {object} event - { type, at, ...payload }; `at` defaults to now
+ * @returns {object} Next state, with `effects` for this transition (same object when ignored)
+ */
+export function transition(state, event) {
+    if (event.type === 'RESTORE') return restore(state, event);
+
+    const stamped = event.at ? event : { ...event, at: Date.now() };
+    if (!canTransition(state, stamped)) return state;
+
+    const next = reduce(state, stamped, stamped.at);
+    if (next === state) return state;
+
+    return {
+        ...next,
+        log: getLog(state, next, stamped),
+        effects: getEffects(state, next, stamped),
+    };
+}
+
+/**
+ * Adopt a saved or synced state as-is; completion is left to the next TICK
+ * so effects only come from transitions this tab makes
+ */
+function restore(state, event) {
+    if (!event.savedState) return state;
+    const saved = {
+        ...INITIAL_STATE,
+        // Older saves predate Pomodoro phases
+        focusDuration: event.savedState.duration,
+        ...event.savedState,
+        effects: NO_EFFECTS,
+    };
+    // Settings used to be a timer status
+    if (!TRANSITIONS[saved.status]) return { ...saved, status: 'idle' };
+
+    const now = event.at ?? Date.now();
+    return {
+        ...saved,
+        remaining: calculateRemaining(saved, now),
+        elapsed: calculateElapsed(saved, now),
+    };
+}
+
+/**
+ * Rebuild a session's state from its event log
+ * @param {object[]} log - Events from the session's COMMIT onwards
+ * @returns {object|null} Replayed state, or null for an empty log
+ */
+export function replayLog(log) {
+    if (!Array.isArray(log) || log.length === 0 || !log[0].from) return null;
+    const base = { ...INITIAL_STATE, ...log[0].from };
+    const replayed = log.reduce(transition, base);
+    return { ...replayed, effects: NO_EFFECTS };
+}
@@ -0,0 +1,187 @@
+import { describe, it, expect } from 'vitest';
+import { INITIAL_STATE, UNDO_CANCEL_MS, canTransition, transition, replayLog } from './timerMachine';
+
+const T0 = Date.UTC(2026, 9, 19, 9, 0);
+const MINUTE = 60 * 1000;
+
+function run(state, events) {
+    return events.reduce(transition, state);
+}
+
+function started(minutes = 25, at = T0) {
+    return run(INITIAL_STATE, [
+        { type: 'SET_DURATION', minutes, at: at - 1 },
+        { type: 'COMMIT', sessionId: 's1', at },
+    ]);
+}
+
+describe('guards', () => {
+    it('ignores events the status does not accept', () => {
+        const running = started();
+        expect(canTransition(running, { type: 'START_ADJUST', at: T0 + 1 })).toBe(false);
+        expect(transition(running, { type: 'START_ADJUST', at: T0 + 1 })).toBe(running);
+        expect(transition(INITIAL_STATE, { type: 'PAUSE', at: T0 })).toBe(INITIAL_STATE);
+    });
+
+    it('checks guards on accepted events', () => {
+        const flow = run(INITIAL_STATE, [
+            { type: 'SET_MODE', mode: 'flow', at: T0 - 1 },
+            { type: 'COMMIT', at: T0 },
+        ]);
+        expect(canTransition(flow, { type: 'EXTEND', minutes: 5, at: T0 + 1 })).toBe(false);
+        expect(canTransition(INITIAL_STATE, { type: 'SET_MODE', mode: 'sideways', at: T0 })).toBe(false);
+        expect(canTransition(started(), { type: 'LOG_LEAVE', at: T0 + 1 })).toBe(false);
+    });
+});
+
+describe('SET_DURATION', () => {
+    it('keeps the length between the minimum and 120 minutes', () => {
+        const set = (minutes, minDuration) => transition(INITIAL_STATE, { type: 'SET_DURATION', minutes, minDuration, at: T0 }).duration;
+        expect(set(5, 10)).toBe(10 * 60);
+        expect(set(0)).toBe(60);
+        expect(set(200, 10)).toBe(120 * 60);
+    });
+});
+
+describe('EXTEND', () => {
+    it('adds time to a running countdown without restarting it', () => {
+        const state = transition(started(25), { type: 'EXTEND', minutes: 5, at: T0 + 10 * MINUTE });
+        expect(state.duration).toBe(30 * 60);
+        expect(state.remaining).toBe(20 * 60);
+        expect(state.endTime).toBe(T0 + 30 * MINUTE);
+    });
+
+    it('adds to a paused countdown and stops at 120 minutes', () => {
+        const paused = transition(started(115), { type: 'PAUSE', at: T0 + 5 * MINUTE });
+        const state = transition(paused, { type: 'EXTEND', minutes: 10, at: T0 + 6 * MINUTE });
+        expect(state.duration).toBe(120 * 60);
+        expect(state.remaining).toBe(115 * 60);
+    });
+});
+
+describe('STOP', () => {
+    it('completes a countdown with the time actually focused', () => {
+        const state = run(started(25), [
+            { type: 'PAUSE', at: T0 + 5 * MINUTE },
+            { type: 'RESUME', at: T0 + 15 * MINUTE },
+            { type: 'STOP', at: T0 + 20 * MINUTE },
+        ]);
+        expect(state.status).toBe('completed');
+        expect(state.duration).toBe(10 * 60);
+        expect(state.interruptions).toHaveLength(1);
+        expect(state.interruptions[0]).toMatchObject({ kind: 'pause', duration: 10 * 60 });
+        expect(state.effects).toEqual([
+            expect.objectContaining({ type: 'sessionCompleted', reason: 'STOP', duration: 10 * 60, startTime: T0 }),
+        ]);
+    });
+
+    it('counts flow time without pauses', () => {
+        const state = run(INITIAL_STATE, [
+            { type: 'SET_MODE', mode: 'flow', at: T0 - 1 },
+            { type: 'COMMIT', at: T0 },
+            { type: 'PAUSE', at: T0 + 3 * MINUTE },
+            { type: 'RESUME', at: T0 + 8 * MINUTE },
+            { type: 'STOP', at: T0 + 10 * MINUTE },
+        ]);
+        expect(state.status).toBe('completed');
+        expect(state.duration).toBe(5 * 60);
+    });
+
+    it('drops a focus session shorter than a minute as cancelled', () => {
+        const state = transition(started(25), { type: 'STOP', at: T0 + 30 * 1000 });
+        expect(state.status).toBe('idle');
+        expect(state.effects).toEqual([
+            expect.objectContaining({ type: 'sessionCancelled', reason: 'STOP', focused: 30, remaining: 25 * 60 - 30 }),
+        ]);
+    });
+});
+
+describe('CANCEL and UNDO_CANCEL', () => {
+    const cancelAt = T0 + 4 * MINUTE;
+    const cancelled = transition(started(25), { type: 'CANCEL', at: cancelAt });
+
+    it('resets to idle and reports how far the session got', () => {
+        expect(cancelled.status).toBe('idle');
+        expect(cancelled.cancelledAt).toBe(cancelAt);
+        expect(cancelled.effects).toEqual([
+            expect.objectContaining({ type: 'sessionCancelled', reason: 'CANCEL', focused: 4 * 60, paused: false }),
+        ]);
+    });
+
+    it('brings the session back inside the undo window as if never cancelled', () => {
+        const undoAt = cancelAt + UNDO_CANCEL_MS;
+        const restored = transition(cancelled, { type: 'UNDO_CANCEL', at: undoAt });
+        expect(restored.status).toBe('running');
+        expect(restored.sessionId).toBe('s1');
+        expect(restored.endTime).toBe(T0 + 25 * MINUTE);
+        expect(restored.remaining).toBe(Math.floor((T0 + 25 * MINUTE - undoAt) / 1000));
+        expect(restored.effects).toEqual([expect.objectContaining({ type: 'sessionRestored', sessionId: 's1' })]);
+    });
+
+    it('keeps a paused session paused when undone', () => {
+        const pausedCancel = run(started(25), [
+            { type: 'PAUSE', at: T0 + MINUTE },
+            { type: 'CANCEL', at: T0 + 2 * MINUTE },
+        ]);
+        const restored = transition(pausedCancel, { type: 'UNDO_CANCEL', at: T0 + 2 * MINUTE + 1000 });
+        expect(restored.status).toBe('paused');
+        expect(restored.remaining).toBe(24 * 60);
+    });
+
+    it('ignores an undo after the window has passed', () => {
+        const late = { type: 'UNDO_CANCEL', at: cancelAt + UNDO_CANCEL_MS + 1 };
+        expect(canTransition(cancelled, late)).toBe(false);
+        expect(transition(cancelled, late)).toBe(cancelled);
+    });
+});
+
+describe('ADVANCE_PHASE', () => {
+    const cycle = { rounds: 4, shortBreak: 5, longBreak: 15 };
+    const lock = { maxLeaves: 2 };
+
+    it('starts the next focus round locked when asked', () => {
+        const state = run(INITIAL_STATE, [
+            { type: 'SET_DURATION', minutes: 25, at: T0 - 1 },
+            { type: 'COMMIT', sessionId: 's1', lock, at: T0 },
+            { type: 'TICK', at: T0 + 25 * MINUTE },
+            { type: 'ADVANCE_PHASE', cycle, autoStart: true, session: { sessionId: 'b1', lock }, at: T0 + 26 * MINUTE },
+        ]);
+        expect(state.phase).toBe('shortBreak');
+        expect(state.lock).toBeNull();
+
+        const focus = run(state, [
+            { type: 'TICK', at: T0 + 31 * MINUTE },
+            { type: 'ADVANCE_PHASE', cycle, autoStart: true, session: { sessionId: 's2', lock }, at: T0 + 32 * MINUTE },
+        ]);
+        expect(focus).toMatchObject({ phase: 'focus', round: 2, status: 'running', lock, leaves: 0, broken: false });
+        expect(canTransition(focus, { type: 'LOG_LEAVE', at: T0 + 33 * MINUTE })).toBe(true);
+    });
+});
+
+describe('replayLog', () => {
+    it('rebuilds a session from its event log', () => {
+        const state = run(INITIAL_STATE, [
+            { type: 'SET_DURATION', minutes: 45, at: T0 - 1 },
+            { type: 'COMMIT', sessionId: 's2', taskId: 't1', at: T0 },
+            { type: 'TICK', at: T0 + MINUTE },
+            { type: 'PAUSE', at: T0 + 5 * MINUTE },
+            { type: 'SET_PAUSE_REASON', reason: 'call', at: T0 + 6 * MINUTE },
+            { type: 'EXTEND', minutes: 10, at: T0 + 7 * MINUTE },
+            { type: 'RESUME', at: T0 + 9 * MINUTE },
+            { type: 'LOG_DISTRACTION', start: T0 + 10 * MINUTE, end: T0 + 11 * MINUTE, at: T0 + 11 * MINUTE },
+        ]);
+
+        // Plain ticks are left out of the log
+        expect(state.log.map(e => e.type)).toEqual(['COMMIT', 'PAUSE', 'SET_PAUSE_REASON', 'EXTEND', 'RESUME', 'LOG_DISTRACTION']);
+
+        const replayed = replayLog(state.log);
+        expect(replayed).toEqual({ ...state, effects: [] });
+        expect(replayed.endTime).toBe(state.endTime);
+        expect(replayed.interruptions).toEqual(state.interruptions);
+    });
+
+    it('returns null for a log with no starting state', () => {
+        expect(replayLog([])).toBeNull();
+        expect(replayLog([{ type: 'PAUSE', at: T0 }])).toBeNull();
+    });
+});
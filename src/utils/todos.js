@@ -0,0 +1,31 @@
+/**
+ * Todo list items as stored under the `todos` key
+ */
+
+/**
+ * Generate a unique ID for todos
+ */
+export function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+/**
+ * Validate and sanitize todo item
+ */
+export function sanitizeTodo(todo) {
+    if (!todo || typeof todo !== 'object') return null;
+
+    return {
+        id: typeof todo.id === 'string' ? todo.id : generateId(),
+        text: typeof todo.text === 'string' ? todo.text.slice(0, 200) : '',
+        completed: typeof todo.completed === 'boolean' ? todo.completed : false,
+        createdAt: typeof todo.createdAt === 'number' ? todo.createdAt : Date.now(),
+    };
+}
+
+/**
+ * Stored todos as a clean list
+ */
+export function readTodos(stored) {
+    return Array.isArray(stored) ? stored.map(sanitizeTodo).filter(Boolean) : [];
+}